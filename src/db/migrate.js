@@ -1,121 +1,192 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const { pool } = require('./pool');
 
-const UP = `
--- Enable uuid generation
-CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-
--- Trip status enum
-DO $$ BEGIN
-  CREATE TYPE trip_status AS ENUM ('DRAFT', 'PUBLISHED');
-EXCEPTION
-  WHEN duplicate_object THEN null;
-END $$;
-
--- Booking state enum
-DO $$ BEGIN
-  CREATE TYPE booking_state AS ENUM ('PENDING_PAYMENT', 'CONFIRMED', 'CANCELLED', 'EXPIRED');
-EXCEPTION
-  WHEN duplicate_object THEN null;
-END $$;
-
--- Trips table
-CREATE TABLE IF NOT EXISTS trips (
-  id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  title         VARCHAR(255) NOT NULL,
-  destination   VARCHAR(255) NOT NULL,
-  start_date    TIMESTAMPTZ NOT NULL,
-  end_date      TIMESTAMPTZ NOT NULL,
-  price         NUMERIC(10,2) NOT NULL CHECK (price >= 0),
-  max_capacity  INTEGER NOT NULL CHECK (max_capacity > 0),
-  available_seats INTEGER NOT NULL CHECK (available_seats >= 0),
-  status        trip_status NOT NULL DEFAULT 'DRAFT',
-
-  -- Refund policy (embedded, no separate table needed)
-  refundable_until_days_before INTEGER NOT NULL DEFAULT 7,
-  cancellation_fee_percent     INTEGER NOT NULL DEFAULT 10 CHECK (cancellation_fee_percent >= 0 AND cancellation_fee_percent <= 100),
-
-  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-
-  -- Sanity: available_seats can never exceed max_capacity
-  CONSTRAINT seats_within_capacity CHECK (available_seats <= max_capacity),
-  -- Sanity: end_date must be after start_date
-  CONSTRAINT valid_dates CHECK (end_date > start_date)
+// Usage:
+//   node src/db/migrate.js [up]     apply every pending migration
+//   node src/db/migrate.js down [N] roll back the last N applied migrations (default 1)
+//   node src/db/migrate.js status   list migrations and whether they are applied
+//
+// Migrations live in ./migrations as NNNN_name.js exporting { up, down } SQL strings.
+// Each one runs in its own transaction together with its schema_migrations row.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Session-level advisory lock so concurrently starting app instances migrate one at a time
+const LOCK_KEY = 'gotyolo_schema_migrations';
+
+const CREATE_HISTORY_TABLE = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version     INTEGER PRIMARY KEY,
+  name        VARCHAR(255) NOT NULL,
+  checksum    CHAR(64) NOT NULL,
+  applied_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
+`;
 
--- Bookings table
-CREATE TABLE IF NOT EXISTS bookings (
-  id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  trip_id           UUID NOT NULL REFERENCES trips(id),
-  user_id           UUID NOT NULL,
-  num_seats         INTEGER NOT NULL CHECK (num_seats > 0),
-  state             booking_state NOT NULL DEFAULT 'PENDING_PAYMENT',
-  price_at_booking  NUMERIC(10,2) NOT NULL CHECK (price_at_booking >= 0),
-  payment_reference VARCHAR(255),
-  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-  expires_at        TIMESTAMPTZ NOT NULL,
-  cancelled_at      TIMESTAMPTZ,
-  refund_amount     NUMERIC(10,2) DEFAULT NULL,
-  idempotency_key   VARCHAR(255) UNIQUE NOT NULL,
-  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
-);
+function checksum(migration) {
+  return crypto
+    .createHash('sha256')
+    .update(`${migration.up}\n-- down --\n${migration.down}`)
+    .digest('hex');
+}
 
--- Indexes for common query patterns
-CREATE INDEX IF NOT EXISTS idx_bookings_trip_id ON bookings(trip_id);
-CREATE INDEX IF NOT EXISTS idx_bookings_user_id ON bookings(user_id);
-CREATE INDEX IF NOT EXISTS idx_bookings_state ON bookings(state);
-CREATE INDEX IF NOT EXISTS idx_bookings_expires_at ON bookings(expires_at);
-CREATE INDEX IF NOT EXISTS idx_trips_status ON trips(status);
-CREATE INDEX IF NOT EXISTS idx_trips_start_date ON trips(start_date);
-
--- Trigger: auto-update updated_at on row change
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-  NEW.updated_at = NOW();
-  RETURN NEW;
-END;
-$$ language 'plpgsql';
-
-DROP TRIGGER IF EXISTS set_trips_updated_at ON trips;
-CREATE TRIGGER set_trips_updated_at
-  BEFORE UPDATE ON trips
-  FOR EACH ROW
-  EXECUTE FUNCTION update_updated_at_column();
-
-DROP TRIGGER IF EXISTS set_bookings_updated_at ON bookings;
-CREATE TRIGGER set_bookings_updated_at
-  BEFORE UPDATE ON bookings
-  FOR EACH ROW
-  EXECUTE FUNCTION update_updated_at_column();
-`;
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof up !== 'string' || typeof down !== 'string') {
+        throw new Error(`Migration ${file} must export "up" and "down" SQL strings`);
+      }
+      const migration = { version: parseInt(match[1], 10), name: match[2], up, down };
+      return { ...migration, checksum: checksum(migration) };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
 
-const DOWN = `
-DROP TABLE IF EXISTS bookings CASCADE;
-DROP TABLE IF EXISTS trips CASCADE;
-DROP TYPE IF EXISTS booking_state CASCADE;
-DROP TYPE IF EXISTS trip_status CASCADE;
-DROP FUNCTION IF EXISTS update_updated_at_column CASCADE;
-`;
+async function getApplied(client) {
+  const result = await client.query(
+    `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version ASC`
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// An applied migration whose file was edited afterwards no longer describes the schema
+function findModified(migrations, applied) {
+  return migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+async function up(client, migrations) {
+  const applied = await getApplied(client);
+
+  const modified = findModified(migrations, applied);
+  if (modified.length > 0) {
+    throw new Error(
+      `Applied migration(s) were edited after running: ${modified.map(m => `${m.version}_${m.name}`).join(', ')}. ` +
+      'Add a new migration instead of changing an applied one.'
+    );
+  }
+
+  const pending = migrations.filter(m => !applied.has(m.version));
+  if (pending.length === 0) {
+    console.log('No pending migrations.');
+    return;
+  }
+
+  for (const migration of pending) {
+    console.log(`Applying ${migration.version}_${migration.name}...`);
+    await runInTransaction(client, async () => {
+      await client.query(migration.up);
+      await client.query(
+        `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+        [migration.version, migration.name, migration.checksum]
+      );
+    });
+  }
+  console.log(`Applied ${pending.length} migration(s).`);
+}
+
+async function down(client, migrations, steps) {
+  const applied = await getApplied(client);
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  const toRollBack = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+  if (toRollBack.length === 0) {
+    console.log('Nothing to roll back.');
+    return;
+  }
+
+  for (const version of toRollBack) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Migration file for applied version ${version} is missing; cannot roll back`);
+    }
+    console.log(`Rolling back ${migration.version}_${migration.name}...`);
+    await runInTransaction(client, async () => {
+      await client.query(migration.down);
+      await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [version]);
+    });
+  }
+  console.log(`Rolled back ${toRollBack.length} migration(s).`);
+}
+
+async function status(client, migrations) {
+  const applied = await getApplied(client);
+  const known = new Set(migrations.map(m => m.version));
+
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum
+        ? `applied ${row.applied_at.toISOString()}`
+        : `MODIFIED since applied ${row.applied_at.toISOString()}`;
+    }
+    console.log(`  ${String(migration.version).padStart(4, '0')}_${migration.name}: ${state}`);
+  }
+
+  for (const [version, row] of applied) {
+    if (!known.has(version)) {
+      console.log(`  ${String(version).padStart(4, '0')}_${row.name}: applied but file MISSING`);
+    }
+  }
+}
 
 async function migrate() {
-  const direction = process.argv[2]; // 'up' or 'down'
+  const [command = 'up', arg] = process.argv.slice(2);
+  const client = await pool.connect();
 
   try {
-    if (direction === 'down') {
-      console.log('Rolling back migrations...');
-      await pool.query(DOWN);
-      console.log('Rollback complete.');
-    } else {
-      console.log('Running migrations...');
-      await pool.query(UP);
-      console.log('Migrations complete.');
+    const migrations = loadMigrations();
+
+    await client.query(`SELECT pg_advisory_lock(hashtext($1))`, [LOCK_KEY]);
+    try {
+      await client.query(CREATE_HISTORY_TABLE);
+
+      if (command === 'up') {
+        await up(client, migrations);
+      } else if (command === 'down') {
+        const steps = arg === undefined ? 1 : parseInt(arg, 10);
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error('down expects a positive number of migrations to roll back');
+        }
+        await down(client, migrations, steps);
+      } else if (command === 'status') {
+        await status(client, migrations);
+      } else {
+        throw new Error(`Unknown command "${command}". Use up, down [N] or status.`);
+      }
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock(hashtext($1))`, [LOCK_KEY]);
     }
   } catch (err) {
     console.error('Migration failed:', err.message);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
+    client.release();
     await pool.end();
   }
 }
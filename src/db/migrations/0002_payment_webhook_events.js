@@ -0,0 +1,15 @@
+module.exports = {
+  up: `
+-- Processed payment webhook events (replay protection)
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  event_id      VARCHAR(255) PRIMARY KEY,
+  booking_id    UUID NOT NULL REFERENCES bookings(id),
+  status        VARCHAR(50) NOT NULL,
+  processed_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+`,
+
+  down: `
+DROP TABLE IF EXISTS payment_webhook_events CASCADE;
+`,
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  up: `
+ALTER TYPE trip_status ADD VALUE IF NOT EXISTS 'CANCELLED';
+
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+`,
+
+  // Postgres cannot drop a value from an enum, so 'CANCELLED' stays in trip_status
+  down: `
+ALTER TABLE trips DROP COLUMN IF EXISTS cancelled_at;
+`,
+};
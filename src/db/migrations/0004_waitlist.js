@@ -0,0 +1,40 @@
+module.exports = {
+  up: `
+-- Waitlist entry state enum
+DO $$ BEGIN
+  CREATE TYPE waitlist_state AS ENUM ('WAITING', 'OFFERED', 'LEFT');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+-- Waitlist for sold-out trips (FIFO by created_at)
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trip_id       UUID NOT NULL REFERENCES trips(id),
+  user_id       UUID NOT NULL,
+  num_seats     INTEGER NOT NULL CHECK (num_seats > 0),
+  state         waitlist_state NOT NULL DEFAULT 'WAITING',
+  booking_id    UUID REFERENCES bookings(id),
+  offered_at    TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A user can only wait once per trip at a time
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_waitlist_waiting_user
+  ON waitlist_entries(trip_id, user_id) WHERE state = 'WAITING';
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_trip_state ON waitlist_entries(trip_id, state, created_at);
+
+DROP TRIGGER IF EXISTS set_waitlist_entries_updated_at ON waitlist_entries;
+CREATE TRIGGER set_waitlist_entries_updated_at
+  BEFORE UPDATE ON waitlist_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+`,
+
+  down: `
+DROP TABLE IF EXISTS waitlist_entries CASCADE;
+DROP TYPE IF EXISTS waitlist_state CASCADE;
+`,
+};
@@ -0,0 +1,40 @@
+module.exports = {
+  up: `
+-- Refund state enum
+DO $$ BEGIN
+  CREATE TYPE refund_state AS ENUM ('REQUESTED', 'PROCESSING', 'SUCCEEDED', 'FAILED');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+-- Refunds owed to customers and their progress with the payment provider
+CREATE TABLE IF NOT EXISTS refunds (
+  id                 UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id         UUID NOT NULL REFERENCES bookings(id),
+  amount             NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+  state              refund_state NOT NULL DEFAULT 'REQUESTED',
+  reason             VARCHAR(255),
+  provider_reference VARCHAR(255),
+  attempts           INTEGER NOT NULL DEFAULT 0,
+  last_error         TEXT,
+  next_attempt_at    TIMESTAMPTZ,
+  settled_at         TIMESTAMPTZ,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_booking_id ON refunds(booking_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_state_next_attempt ON refunds(state, next_attempt_at);
+
+DROP TRIGGER IF EXISTS set_refunds_updated_at ON refunds;
+CREATE TRIGGER set_refunds_updated_at
+  BEFORE UPDATE ON refunds
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+`,
+
+  down: `
+DROP TABLE IF EXISTS refunds CASCADE;
+DROP TYPE IF EXISTS refund_state CASCADE;
+`,
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  up: `
+-- Reusable named refund schedules (tiers: [{min_days_before, refund_percent}])
+CREATE TABLE IF NOT EXISTS refund_policies (
+  id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name          VARCHAR(100) UNIQUE NOT NULL,
+  description   TEXT,
+  tiers         JSONB NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Tiered refunds: a trip's own tiers win over its named policy, which wins over
+-- the legacy refundable_until_days_before / cancellation_fee_percent pair
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS refund_policy_id UUID REFERENCES refund_policies(id);
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS refund_tiers JSONB;
+
+DROP TRIGGER IF EXISTS set_refund_policies_updated_at ON refund_policies;
+CREATE TRIGGER set_refund_policies_updated_at
+  BEFORE UPDATE ON refund_policies
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+`,
+
+  down: `
+ALTER TABLE trips DROP COLUMN IF EXISTS refund_tiers;
+ALTER TABLE trips DROP COLUMN IF EXISTS refund_policy_id;
+DROP TABLE IF EXISTS refund_policies CASCADE;
+`,
+};
@@ -0,0 +1,24 @@
+module.exports = {
+  up: `
+-- History of partial cancellations (seats given back from a booking)
+CREATE TABLE IF NOT EXISTS booking_seat_adjustments (
+  id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id      UUID NOT NULL REFERENCES bookings(id),
+  seats_before    INTEGER NOT NULL,
+  seats_after     INTEGER NOT NULL CHECK (seats_after > 0),
+  seats_released  INTEGER NOT NULL CHECK (seats_released > 0),
+  amount_released NUMERIC(10,2) NOT NULL CHECK (amount_released >= 0),
+  refund_amount   NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (refund_amount >= 0),
+  refund_id       UUID REFERENCES refunds(id),
+  reason          VARCHAR(255),
+  created_by      UUID,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_seat_adjustments_booking_id ON booking_seat_adjustments(booking_id);
+`,
+
+  down: `
+DROP TABLE IF EXISTS booking_seat_adjustments CASCADE;
+`,
+};
@@ -0,0 +1,39 @@
+module.exports = {
+  up: `
+-- Transactional outbox: one row per booking/trip state change, written in the
+-- same transaction as the change itself
+CREATE TABLE IF NOT EXISTS domain_events (
+  id              BIGSERIAL PRIMARY KEY,
+  event_type      VARCHAR(100) NOT NULL,
+  aggregate_type  VARCHAR(50) NOT NULL,
+  aggregate_id    UUID NOT NULL,
+  payload         JSONB NOT NULL DEFAULT '{}',
+  -- Writing transaction id; readers skip events from transactions still in flight
+  txid            BIGINT NOT NULL DEFAULT txid_current(),
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_domain_events_aggregate ON domain_events(aggregate_type, aggregate_id);
+CREATE INDEX IF NOT EXISTS idx_domain_events_type ON domain_events(event_type, id);
+
+-- How far each registered consumer has processed the event stream
+CREATE TABLE IF NOT EXISTS event_consumer_offsets (
+  consumer        VARCHAR(100) PRIMARY KEY,
+  last_event_id   BIGINT NOT NULL DEFAULT 0,
+  failures        INTEGER NOT NULL DEFAULT 0,
+  last_error      TEXT,
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS set_event_consumer_offsets_updated_at ON event_consumer_offsets;
+CREATE TRIGGER set_event_consumer_offsets_updated_at
+  BEFORE UPDATE ON event_consumer_offsets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+`,
+
+  down: `
+DROP TABLE IF EXISTS event_consumer_offsets CASCADE;
+DROP TABLE IF EXISTS domain_events CASCADE;
+`,
+};
@@ -0,0 +1,61 @@
+module.exports = {
+  up: `
+-- Partner subscriptions to booking events
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_id      UUID NOT NULL,
+  url           TEXT NOT NULL,
+  secret        VARCHAR(255) NOT NULL,
+  event_types   TEXT[] NOT NULL,
+  trip_id       UUID REFERENCES trips(id),
+  active        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Delivery state enum
+DO $$ BEGIN
+  CREATE TYPE webhook_delivery_state AS ENUM ('PENDING', 'SUCCEEDED', 'DEAD');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+-- One row per (subscription, event); retried with backoff until it succeeds or goes DEAD
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscription_id   UUID NOT NULL REFERENCES webhook_subscriptions(id),
+  event_id          BIGINT NOT NULL REFERENCES domain_events(id),
+  event_type        VARCHAR(100) NOT NULL,
+  state             webhook_delivery_state NOT NULL DEFAULT 'PENDING',
+  attempts          INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_status_code  INTEGER,
+  last_error        TEXT,
+  delivered_at      TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uniq_delivery_per_event UNIQUE (subscription_id, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_owner ON webhook_subscriptions(owner_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(state, next_attempt_at);
+
+DROP TRIGGER IF EXISTS set_webhook_subscriptions_updated_at ON webhook_subscriptions;
+CREATE TRIGGER set_webhook_subscriptions_updated_at
+  BEFORE UPDATE ON webhook_subscriptions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS set_webhook_deliveries_updated_at ON webhook_deliveries;
+CREATE TRIGGER set_webhook_deliveries_updated_at
+  BEFORE UPDATE ON webhook_deliveries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+`,
+
+  down: `
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+DROP TYPE IF EXISTS webhook_delivery_state CASCADE;
+DROP TABLE IF EXISTS webhook_subscriptions CASCADE;
+`,
+};
@@ -0,0 +1,47 @@
+module.exports = {
+  up: `
+-- Where to send customer notifications for a booking (optional: no address, no email)
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS contact_email VARCHAR(320);
+ALTER TABLE waitlist_entries ADD COLUMN IF NOT EXISTS contact_email VARCHAR(320);
+
+-- Notification state enum
+DO $$ BEGIN
+  CREATE TYPE notification_status AS ENUM ('SENDING', 'SENT', 'FAILED');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+-- One row per (booking, kind): the unique key is what stops duplicate sends
+CREATE TABLE IF NOT EXISTS notifications (
+  id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id    UUID NOT NULL REFERENCES bookings(id),
+  kind          VARCHAR(50) NOT NULL,
+  recipient     VARCHAR(320) NOT NULL,
+  subject       TEXT,
+  transport     VARCHAR(50),
+  message_id    VARCHAR(255),
+  status        notification_status NOT NULL DEFAULT 'SENDING',
+  attempts      INTEGER NOT NULL DEFAULT 1,
+  last_error    TEXT,
+  sent_at       TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uniq_notification_per_booking UNIQUE (booking_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
+
+DROP TRIGGER IF EXISTS set_notifications_updated_at ON notifications;
+CREATE TRIGGER set_notifications_updated_at
+  BEFORE UPDATE ON notifications
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+`,
+
+  down: `
+DROP TABLE IF EXISTS notifications CASCADE;
+DROP TYPE IF EXISTS notification_status CASCADE;
+ALTER TABLE waitlist_entries DROP COLUMN IF EXISTS contact_email;
+ALTER TABLE bookings DROP COLUMN IF EXISTS contact_email;
+`,
+};
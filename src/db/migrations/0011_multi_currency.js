@@ -0,0 +1,51 @@
+module.exports = {
+  up: `
+-- Trips are priced in one currency; existing trips were all EUR
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'EUR'
+    CONSTRAINT trips_currency_supported CHECK (currency IN ('EUR', 'USD', 'JPY'));
+
+-- A booking is charged in the customer's currency. exchange_rate is the rate
+-- locked at booking time: units of the booking currency per one unit of the
+-- trip currency (1 when they match). price_at_booking, refund_amount, refunds
+-- and seat adjustments are all in the booking currency.
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'EUR'
+    CONSTRAINT bookings_currency_supported CHECK (currency IN ('EUR', 'USD', 'JPY')),
+  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1
+    CONSTRAINT bookings_exchange_rate_positive CHECK (exchange_rate > 0);
+
+ALTER TABLE waitlist_entries
+  ADD COLUMN IF NOT EXISTS currency CHAR(3)
+    CONSTRAINT waitlist_currency_supported CHECK (currency IN ('EUR', 'USD', 'JPY'));
+
+-- Current rates, maintained by admins. rate = units of quote_currency per one base_currency.
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  base_currency   CHAR(3) NOT NULL,
+  quote_currency  CHAR(3) NOT NULL,
+  rate            NUMERIC(18,8) NOT NULL CHECK (rate > 0),
+  updated_by      UUID,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (base_currency, quote_currency),
+  CONSTRAINT distinct_currencies CHECK (base_currency <> quote_currency)
+);
+
+DROP TRIGGER IF EXISTS set_exchange_rates_updated_at ON exchange_rates;
+CREATE TRIGGER set_exchange_rates_updated_at
+  BEFORE UPDATE ON exchange_rates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_trips_currency ON trips(currency);
+`,
+
+  down: `
+DROP TABLE IF EXISTS exchange_rates CASCADE;
+ALTER TABLE waitlist_entries DROP COLUMN IF EXISTS currency;
+ALTER TABLE bookings DROP COLUMN IF EXISTS exchange_rate;
+ALTER TABLE bookings DROP COLUMN IF EXISTS currency;
+DROP INDEX IF EXISTS idx_trips_currency;
+ALTER TABLE trips DROP COLUMN IF EXISTS currency;
+`,
+};
@@ -0,0 +1,97 @@
+module.exports = {
+  up: `
+-- Promo code discount type enum
+DO $$ BEGIN
+  CREATE TYPE discount_type AS ENUM ('PERCENT', 'FIXED');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+-- Promo codes. Codes are stored upper-case and matched case-insensitively.
+-- PERCENT codes use percent_off; FIXED codes take amount_off in currency off the
+-- whole booking (converted at the booking's rate when it is in another currency).
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id                        UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code                      VARCHAR(64) UNIQUE NOT NULL CHECK (code = UPPER(code)),
+  description               TEXT,
+  discount_type             discount_type NOT NULL,
+  percent_off               INTEGER CHECK (percent_off BETWEEN 1 AND 100),
+  amount_off                NUMERIC(10,2) CHECK (amount_off > 0),
+  currency                  CHAR(3) CHECK (currency IN ('EUR', 'USD', 'JPY')),
+  trip_id                   UUID REFERENCES trips(id),
+  valid_from                TIMESTAMPTZ,
+  valid_until               TIMESTAMPTZ,
+  max_redemptions           INTEGER CHECK (max_redemptions > 0),
+  max_redemptions_per_user  INTEGER CHECK (max_redemptions_per_user > 0),
+  active                    BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by                UUID,
+  created_at                TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT promo_discount_shape CHECK (
+    (discount_type = 'PERCENT' AND percent_off IS NOT NULL AND amount_off IS NULL)
+    OR (discount_type = 'FIXED' AND amount_off IS NOT NULL AND currency IS NOT NULL AND percent_off IS NULL)
+  ),
+  CONSTRAINT promo_valid_window CHECK (valid_until IS NULL OR valid_from IS NULL OR valid_until > valid_from)
+);
+
+-- One row per booking that used a code. A redemption is released when its
+-- booking expires or is cancelled; only unreleased ones count toward limits.
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  promo_code_id    UUID NOT NULL REFERENCES promo_codes(id),
+  booking_id       UUID UNIQUE NOT NULL REFERENCES bookings(id),
+  user_id          UUID NOT NULL,
+  discount_amount  NUMERIC(10,2) NOT NULL CHECK (discount_amount >= 0),
+  currency         CHAR(3) NOT NULL,
+  released_at      TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_active
+  ON promo_redemptions(promo_code_id, user_id) WHERE released_at IS NULL;
+
+-- Group discounts: percent off bookings of at least min_seats seats, on one trip
+-- or (trip_id NULL) on every trip. The best matching rule applies.
+CREATE TABLE IF NOT EXISTS group_discounts (
+  id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trip_id       UUID REFERENCES trips(id),
+  min_seats     INTEGER NOT NULL CHECK (min_seats >= 2),
+  percent_off   INTEGER NOT NULL CHECK (percent_off BETWEEN 1 AND 100),
+  active        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- What the customer was charged before and after discounts. price_at_booking
+-- stays the amount actually paid, so refunds are always computed on it.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS list_price NUMERIC(10,2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS promo_code VARCHAR(64);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS discounts JSONB NOT NULL DEFAULT '[]';
+UPDATE bookings SET list_price = price_at_booking WHERE list_price IS NULL;
+ALTER TABLE bookings ALTER COLUMN list_price SET NOT NULL;
+
+DROP TRIGGER IF EXISTS set_promo_codes_updated_at ON promo_codes;
+CREATE TRIGGER set_promo_codes_updated_at
+  BEFORE UPDATE ON promo_codes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS set_group_discounts_updated_at ON group_discounts;
+CREATE TRIGGER set_group_discounts_updated_at
+  BEFORE UPDATE ON group_discounts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+`,
+
+  down: `
+ALTER TABLE bookings DROP COLUMN IF EXISTS discounts;
+ALTER TABLE bookings DROP COLUMN IF EXISTS promo_code;
+ALTER TABLE bookings DROP COLUMN IF EXISTS discount_amount;
+ALTER TABLE bookings DROP COLUMN IF EXISTS list_price;
+DROP TABLE IF EXISTS group_discounts CASCADE;
+DROP TABLE IF EXISTS promo_redemptions CASCADE;
+DROP TABLE IF EXISTS promo_codes CASCADE;
+DROP TYPE IF EXISTS discount_type CASCADE;
+`,
+};
@@ -0,0 +1,50 @@
+module.exports = {
+  up: `
+-- Payment session state enum
+DO $$ BEGIN
+  CREATE TYPE payment_session_state AS ENUM ('OPEN', 'FAILED', 'SUCCEEDED', 'SUPERSEDED');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+-- One checkout attempt at the payment provider. idempotency_key is sent to the
+-- provider, so a retry after a declined card is a new charge rather than a replay
+-- of the declined one. At most one session per booking is OPEN.
+CREATE TABLE IF NOT EXISTS payment_sessions (
+  id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id       UUID NOT NULL REFERENCES bookings(id),
+  idempotency_key  VARCHAR(255) UNIQUE NOT NULL,
+  state            payment_session_state NOT NULL DEFAULT 'OPEN',
+  failure_reason   TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_sessions_booking ON payment_sessions(booking_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_open_payment_session
+  ON payment_sessions(booking_id) WHERE state = 'OPEN';
+
+-- Declined payments and hold extensions on a PENDING_PAYMENT booking.
+-- original_expires_at is the hold before any extension.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS failed_payment_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS last_payment_error TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS hold_extensions INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS original_expires_at TIMESTAMPTZ;
+UPDATE bookings SET original_expires_at = expires_at WHERE original_expires_at IS NULL;
+
+DROP TRIGGER IF EXISTS set_payment_sessions_updated_at ON payment_sessions;
+CREATE TRIGGER set_payment_sessions_updated_at
+  BEFORE UPDATE ON payment_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+`,
+
+  down: `
+ALTER TABLE bookings DROP COLUMN IF EXISTS original_expires_at;
+ALTER TABLE bookings DROP COLUMN IF EXISTS hold_extensions;
+ALTER TABLE bookings DROP COLUMN IF EXISTS last_payment_error;
+ALTER TABLE bookings DROP COLUMN IF EXISTS failed_payment_attempts;
+DROP TABLE IF EXISTS payment_sessions CASCADE;
+DROP TYPE IF EXISTS payment_session_state CASCADE;
+`,
+};
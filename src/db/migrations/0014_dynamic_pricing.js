@@ -0,0 +1,56 @@
+module.exports = {
+  up: `
+-- Dynamic pricing rules: adjust a trip's per-seat price by occupancy and days
+-- to departure, on one trip or (trip_id NULL) on every trip. Matching rules
+-- apply in priority order; see src/lib/pricingRules.js.
+CREATE TABLE IF NOT EXISTS pricing_rules (
+  id                      UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trip_id                 UUID REFERENCES trips(id),
+  name                    VARCHAR(255) NOT NULL,
+  adjustment_percent      INTEGER NOT NULL CHECK (adjustment_percent BETWEEN -90 AND 200 AND adjustment_percent <> 0),
+  min_occupancy_percent   INTEGER CHECK (min_occupancy_percent BETWEEN 0 AND 100),
+  max_occupancy_percent   INTEGER CHECK (max_occupancy_percent BETWEEN 0 AND 100),
+  min_days_to_departure   INTEGER CHECK (min_days_to_departure >= 0),
+  max_days_to_departure   INTEGER CHECK (max_days_to_departure >= 0),
+  priority                INTEGER NOT NULL DEFAULT 0,
+  active                  BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by              UUID,
+  created_at              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at              TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_trip ON pricing_rules(trip_id) WHERE active;
+
+-- Per-seat price of a trip (in its own currency) as it was evaluated: one row
+-- for every booking, plus one whenever a quote finds the price has moved.
+CREATE TABLE IF NOT EXISTS trip_price_history (
+  id                  UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trip_id             UUID NOT NULL REFERENCES trips(id),
+  booking_id          UUID REFERENCES bookings(id),
+  base_price          NUMERIC(10,2) NOT NULL,
+  unit_price          NUMERIC(10,2) NOT NULL,
+  currency            CHAR(3) NOT NULL,
+  occupancy_percent   INTEGER NOT NULL,
+  days_to_departure   INTEGER NOT NULL,
+  adjustments         JSONB NOT NULL DEFAULT '[]',
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_price_history_trip ON trip_price_history(trip_id, created_at DESC, id DESC);
+
+-- Rule adjustments that produced a booking's list price
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS price_adjustments JSONB NOT NULL DEFAULT '[]';
+
+DROP TRIGGER IF EXISTS set_pricing_rules_updated_at ON pricing_rules;
+CREATE TRIGGER set_pricing_rules_updated_at
+  BEFORE UPDATE ON pricing_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+`,
+
+  down: `
+ALTER TABLE bookings DROP COLUMN IF EXISTS price_adjustments;
+DROP TABLE IF EXISTS trip_price_history CASCADE;
+DROP TABLE IF EXISTS pricing_rules CASCADE;
+`,
+};
@@ -0,0 +1,44 @@
+module.exports = {
+  up: `
+-- Append-only audit trail of a booking: one row per change made through
+-- BookingService, written in the same transaction as the change. Changes that
+-- keep the state (a declined payment, a hold extension, seats given back) have
+-- from_state = to_state; creation has no from_state.
+CREATE TABLE IF NOT EXISTS booking_transitions (
+  id                 BIGSERIAL PRIMARY KEY,
+  booking_id         UUID NOT NULL REFERENCES bookings(id),
+  event              VARCHAR(50) NOT NULL,
+  from_state         booking_state,
+  to_state           booking_state NOT NULL,
+  actor_type         VARCHAR(20) NOT NULL
+                     CHECK (actor_type IN ('user', 'operator', 'admin', 'webhook', 'expiry-job', 'system')),
+  actor_id           UUID,
+  reason             TEXT,
+  payment_reference  VARCHAR(255),
+  request_id         VARCHAR(128),
+  details            JSONB NOT NULL DEFAULT '{}',
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_transitions_booking ON booking_transitions(booking_id, id);
+
+-- Bookings made before the trail existed: their creation and, if they have
+-- moved on, their current state, attributed to the system
+INSERT INTO booking_transitions (booking_id, event, from_state, to_state, actor_type, actor_id, reason, created_at)
+SELECT b.id, 'created', NULL, 'PENDING_PAYMENT', 'system', NULL, 'backfill', b.created_at
+FROM bookings b
+WHERE NOT EXISTS (SELECT 1 FROM booking_transitions t WHERE t.booking_id = b.id);
+
+INSERT INTO booking_transitions
+  (booking_id, event, from_state, to_state, actor_type, reason, payment_reference, created_at)
+SELECT b.id, LOWER(b.state::text), 'PENDING_PAYMENT', b.state, 'system', 'backfill', b.payment_reference,
+       COALESCE(b.cancelled_at, b.updated_at)
+FROM bookings b
+WHERE b.state <> 'PENDING_PAYMENT'
+  AND NOT EXISTS (SELECT 1 FROM booking_transitions t WHERE t.booking_id = b.id AND t.to_state = b.state);
+`,
+
+  down: `
+DROP TABLE IF EXISTS booking_transitions CASCADE;
+`,
+};
@@ -0,0 +1,28 @@
+module.exports = {
+  up: `
+-- Bookings moved to another trip by support. The booking keeps what the
+-- customer was charged; price_difference (new list price less the old one, in
+-- the booking currency) is what is still to be collected (positive) or given
+-- back (negative).
+CREATE TABLE IF NOT EXISTS booking_transfers (
+  id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id        UUID NOT NULL REFERENCES bookings(id),
+  from_trip_id      UUID NOT NULL REFERENCES trips(id),
+  to_trip_id        UUID NOT NULL REFERENCES trips(id) CHECK (to_trip_id <> from_trip_id),
+  num_seats         INTEGER NOT NULL CHECK (num_seats > 0),
+  currency          CHAR(3) NOT NULL,
+  price_before      NUMERIC(10,2) NOT NULL,
+  price_after       NUMERIC(10,2) NOT NULL,
+  price_difference  NUMERIC(10,2) NOT NULL,
+  reason            TEXT NOT NULL,
+  created_by        UUID,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_transfers_booking ON booking_transfers(booking_id);
+`,
+
+  down: `
+DROP TABLE IF EXISTS booking_transfers CASCADE;
+`,
+};
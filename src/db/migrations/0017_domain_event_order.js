@@ -0,0 +1,10 @@
+module.exports = {
+  up: `
+-- Readers page through domain_events in (txid, id) order
+CREATE INDEX IF NOT EXISTS idx_domain_events_txid ON domain_events(txid, id);
+`,
+
+  down: `
+DROP INDEX IF EXISTS idx_domain_events_txid;
+`,
+};
@@ -0,0 +1,20 @@
+module.exports = {
+  up: `
+-- The partner a trip belongs to. Partner webhook subscriptions only receive
+-- events for their own trips and for bookings they made.
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS partner_id UUID;
+CREATE INDEX IF NOT EXISTS idx_trips_partner ON trips(partner_id) WHERE partner_id IS NOT NULL;
+
+-- The partner a subscription is limited to; NULL for admin subscriptions,
+-- which see every event. Existing subscriptions cannot tell who created them,
+-- so they are limited to their owner.
+ALTER TABLE webhook_subscriptions ADD COLUMN IF NOT EXISTS partner_id UUID;
+UPDATE webhook_subscriptions SET partner_id = owner_id WHERE partner_id IS NULL;
+`,
+
+  down: `
+ALTER TABLE webhook_subscriptions DROP COLUMN IF EXISTS partner_id;
+DROP INDEX IF EXISTS idx_trips_partner;
+ALTER TABLE trips DROP COLUMN IF EXISTS partner_id;
+`,
+};
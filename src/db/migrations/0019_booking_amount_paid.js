@@ -0,0 +1,27 @@
+module.exports = {
+  up: `
+-- What the customer was charged, set when the booking is confirmed and never
+-- changed afterwards (partial cancellations lower price_at_booking, and the
+-- money they give back is a refund record). NULL until paid. Revenue is the sum
+-- of amount_paid less the refunds table.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS amount_paid NUMERIC(10,2);
+
+-- Bookings paid before the column existed: their current price plus any seats
+-- released after they were confirmed
+UPDATE bookings b
+SET amount_paid = b.price_at_booking + COALESCE((
+  SELECT SUM(a.amount_released)
+  FROM booking_seat_adjustments a
+  WHERE a.booking_id = b.id
+    AND a.created_at >= (
+      SELECT MIN(t.created_at) FROM booking_transitions t
+      WHERE t.booking_id = b.id AND t.to_state = 'CONFIRMED'
+    )
+), 0)
+WHERE b.payment_reference IS NOT NULL AND b.amount_paid IS NULL;
+`,
+
+  down: `
+ALTER TABLE bookings DROP COLUMN IF EXISTS amount_paid;
+`,
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  up: `
+-- Processed refund webhook events (replay protection), like payment_webhook_events
+CREATE TABLE IF NOT EXISTS refund_webhook_events (
+  event_id      VARCHAR(255) PRIMARY KEY,
+  refund_id     UUID NOT NULL REFERENCES refunds(id),
+  status        VARCHAR(50) NOT NULL,
+  processed_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+`,
+
+  down: `
+DROP TABLE IF EXISTS refund_webhook_events CASCADE;
+`,
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  up: `
+-- When a send was last claimed. A SENDING row whose claim is older than
+-- NOTIFICATION_SENDING_TIMEOUT_MINUTES belonged to a process that died
+-- mid-send, and may be claimed again.
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Rows claimed before the column existed: their last change was the claim
+UPDATE notifications SET claimed_at = updated_at;
+`,
+
+  down: `
+ALTER TABLE notifications DROP COLUMN IF EXISTS claimed_at;
+`,
+};
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const { pool } = require('./pool');
 const { v4: uuidv4 } = require('uuid');
+const { toMinor, fromMinor, convertMinor } = require('../lib/money');
 
 const USERS = [
   uuidv4(), uuidv4(), uuidv4(), uuidv4(), uuidv4(),
@@ -12,8 +13,54 @@ async function seed() {
     await client.query('BEGIN');
 
     // Clear existing data
+    await client.query('DELETE FROM webhook_deliveries');
+    await client.query('DELETE FROM webhook_subscriptions');
+    await client.query('DELETE FROM domain_events');
+    await client.query('DELETE FROM notifications');
+    await client.query('DELETE FROM booking_transitions');
+    await client.query('DELETE FROM booking_transfers');
+    await client.query('DELETE FROM promo_redemptions');
+    await client.query('DELETE FROM trip_price_history');
+    await client.query('DELETE FROM booking_seat_adjustments');
+    await client.query('DELETE FROM refund_webhook_events');
+    await client.query('DELETE FROM refunds');
+    await client.query('DELETE FROM waitlist_entries');
+    await client.query('DELETE FROM payment_webhook_events');
+    await client.query('DELETE FROM payment_sessions');
     await client.query('DELETE FROM bookings');
+    await client.query('DELETE FROM promo_codes');
+    await client.query('DELETE FROM group_discounts');
+    await client.query('DELETE FROM pricing_rules');
     await client.query('DELETE FROM trips');
+    await client.query('DELETE FROM refund_policies');
+    await client.query('DELETE FROM exchange_rates');
+
+    // --- EXCHANGE RATES ---
+    const rates = [
+      ['EUR', 'USD', 1.08],
+      ['EUR', 'JPY', 162],
+      ['USD', 'JPY', 150],
+    ];
+    for (const [base, quote, rate] of rates) {
+      await client.query(
+        `INSERT INTO exchange_rates (base_currency, quote_currency, rate) VALUES ($1, $2, $3)`,
+        [base, quote, rate]
+      );
+    }
+    console.log(`Seeded ${rates.length} exchange rates`);
+
+    // --- REFUND POLICIES ---
+    const tieredPolicyId = uuidv4();
+    await client.query(
+      `INSERT INTO refund_policies (id, name, description, tiers) VALUES ($1, $2, $3, $4)`,
+      [tieredPolicyId, 'standard-tiered', '100% at 30+ days, 75% at 14-29, 50% at 7-13, none after',
+       JSON.stringify([
+         { min_days_before: 30, refund_percent: 100 },
+         { min_days_before: 14, refund_percent: 75 },
+         { min_days_before: 7, refund_percent: 50 },
+       ])]
+    );
+    console.log('Seeded 1 refund policy');
 
     // --- TRIPS ---
     const now = new Date();
@@ -39,7 +86,8 @@ async function seed() {
         destination: 'Tokyo, Japan',
         start_date: new Date(now.getTime() + 5 * day), // departing soon
         end_date: new Date(now.getTime() + 12 * day),
-        price: 250.00,
+        price: 40000,
+        currency: 'JPY',
         max_capacity: 15,
         available_seats: 15,
         status: 'PUBLISHED',
@@ -71,6 +119,7 @@ async function seed() {
         status: 'PUBLISHED',
         refundable_until_days_before: 14,
         cancellation_fee_percent: 5,
+        refund_policy_id: tieredPolicyId,
       },
       {
         id: uuidv4(),
@@ -78,7 +127,8 @@ async function seed() {
         destination: 'New York, USA',
         start_date: new Date(now.getTime() + 45 * day),
         end_date: new Date(now.getTime() + 48 * day),
-        price: 120.00,
+        price: 130.00,
+        currency: 'USD',
         max_capacity: 12,
         available_seats: 12,
         status: 'DRAFT',
@@ -89,24 +139,53 @@ async function seed() {
 
     for (const t of trips) {
       await client.query(
-        `INSERT INTO trips (id, title, destination, start_date, end_date, price,
-          max_capacity, available_seats, status, refundable_until_days_before, cancellation_fee_percent)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
-        [t.id, t.title, t.destination, t.start_date, t.end_date, t.price,
-         t.max_capacity, t.available_seats, t.status, t.refundable_until_days_before, t.cancellation_fee_percent]
+        `INSERT INTO trips (id, title, destination, start_date, end_date, price, currency,
+          max_capacity, available_seats, status, refundable_until_days_before, cancellation_fee_percent,
+          refund_policy_id)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)`,
+        [t.id, t.title, t.destination, t.start_date, t.end_date, t.price, t.currency || 'EUR',
+         t.max_capacity, t.available_seats, t.status, t.refundable_until_days_before, t.cancellation_fee_percent,
+         t.refund_policy_id || null]
       );
     }
 
     console.log(`Seeded ${trips.length} trips`);
 
+    // --- DISCOUNTS ---
+    await client.query(
+      `INSERT INTO promo_codes (code, description, discount_type, percent_off, max_redemptions_per_user)
+       VALUES ('WELCOME10', '10% off a first booking', 'PERCENT', 10, 1)`
+    );
+    await client.query(
+      `INSERT INTO promo_codes (code, description, discount_type, amount_off, currency, trip_id, max_redemptions)
+       VALUES ('PARIS25', '25 EUR off the Paris tour, first 50 bookings', 'FIXED', 25, 'EUR', $1, 50)`,
+      [trips[0].id]
+    );
+    await client.query(
+      `INSERT INTO group_discounts (min_seats, percent_off) VALUES (4, 5), (8, 10)`
+    );
+    console.log('Seeded 2 promo codes and 2 group discounts');
+
+    // --- PRICING RULES --- (global: surcharge when filling up, markdown for at-risk departures)
+    await client.query(
+      `INSERT INTO pricing_rules (name, adjustment_percent, min_occupancy_percent, priority)
+       VALUES ('High demand', 10, 70, 10)`
+    );
+    await client.query(
+      `INSERT INTO pricing_rules (name, adjustment_percent, max_occupancy_percent, max_days_to_departure, priority)
+       VALUES ('Last-minute fill', -20, 50, 7, 20)`
+    );
+    console.log('Seeded 2 pricing rules');
+
     // --- BOOKINGS ---
     const bookings = [];
 
-    // Paris: 5 confirmed, 2 pending, 1 cancelled with refund, 1 expired
+    // Paris: 5 confirmed (one paid in USD), 2 pending, 1 cancelled with refund, 1 expired
     for (let i = 0; i < 5; i++) {
       bookings.push({
         trip: trips[0], user: USERS[i % 5], num_seats: 2, state: 'CONFIRMED',
         payment_reference: `PAY-PARIS-${i}`,
+        ...(i === 4 ? { currency: 'USD', exchange_rate: 1.08 } : {}),
       });
     }
     bookings.push({
@@ -117,6 +196,7 @@ async function seed() {
     });
     bookings.push({
       trip: trips[0], user: USERS[2], num_seats: 1, state: 'CANCELLED',
+      payment_reference: 'PAY-PARIS-CANCELLED',
       refund_amount: 90.00, // 100 - 10% fee
     });
     bookings.push({
@@ -155,20 +235,50 @@ async function seed() {
 
     for (const b of bookings) {
       const id = uuidv4();
-      const priceAtBooking = parseFloat(b.trip.price) * b.num_seats;
+      const tripCurrency = b.trip.currency || 'EUR';
+      const currency = b.currency || tripCurrency;
+      const exchangeRate = b.exchange_rate || 1;
+      const priceAtBooking = fromMinor(
+        convertMinor(toMinor(b.trip.price, tripCurrency) * b.num_seats, tripCurrency, currency, exchangeRate),
+        currency
+      );
       const expiresAt = b.state === 'PENDING_PAYMENT'
         ? new Date(now.getTime() + 15 * 60 * 1000)
         : new Date(now.getTime() - 60 * 60 * 1000); // past for non-pending
       const cancelledAt = b.state === 'CANCELLED' ? new Date(now.getTime() - 2 * day) : null;
 
       await client.query(
-        `INSERT INTO bookings (id, trip_id, user_id, num_seats, state, price_at_booking,
-          payment_reference, expires_at, cancelled_at, refund_amount, idempotency_key)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
-        [id, b.trip.id, b.user, b.num_seats, b.state, priceAtBooking,
-         b.payment_reference || null, expiresAt, cancelledAt,
-         b.refund_amount !== undefined ? b.refund_amount : null, uuidv4()]
+        `INSERT INTO bookings (id, trip_id, user_id, num_seats, state, price_at_booking, list_price, currency,
+          exchange_rate, payment_reference, amount_paid, expires_at, cancelled_at, refund_amount, idempotency_key)
+         VALUES ($1,$2,$3,$4,$5,$6,$6,$7,$8,$9,$10,$11,$12,$13,$14)`,
+        [id, b.trip.id, b.user, b.num_seats, b.state, priceAtBooking, currency,
+         exchangeRate, b.payment_reference || null, b.payment_reference ? priceAtBooking : null,
+         expiresAt, cancelledAt, b.refund_amount !== undefined ? b.refund_amount : null, uuidv4()]
+      );
+
+      // Paid and then cancelled: the refund went back already
+      if (b.payment_reference && b.refund_amount > 0) {
+        await client.query(
+          `INSERT INTO refunds (booking_id, amount, state, reason, attempts, settled_at)
+           VALUES ($1, $2, 'SUCCEEDED', 'Customer cancellation', 1, $3)`,
+          [id, b.refund_amount, cancelledAt]
+        );
+      }
+
+      // Audit trail: creation, then the state the booking was seeded in
+      await client.query(
+        `INSERT INTO booking_transitions (booking_id, event, from_state, to_state, actor_type, reason)
+         VALUES ($1, 'created', NULL, 'PENDING_PAYMENT', 'system', 'seed')`,
+        [id]
       );
+      if (b.state !== 'PENDING_PAYMENT') {
+        await client.query(
+          `INSERT INTO booking_transitions
+            (booking_id, event, from_state, to_state, actor_type, reason, payment_reference)
+           VALUES ($1, LOWER($2), 'PENDING_PAYMENT', $2::booking_state, 'system', 'seed', $3)`,
+          [id, b.state, b.payment_reference || null]
+        );
+      }
 
       // Track seat adjustments for confirmed + pending bookings
       if (b.state === 'CONFIRMED' || b.state === 'PENDING_PAYMENT') {
@@ -0,0 +1,13 @@
+// Development consumer: logs every domain event. Enabled with EVENT_CONSOLE_CONSUMER=true.
+const logger = require('../lib/logger').logger.child({ component: 'events' });
+
+module.exports = {
+  name: 'console',
+  async handle(event) {
+    logger.info('Domain event', {
+      event_id: event.id,
+      event_type: event.event_type,
+      [`${event.aggregate_type}_id`]: event.aggregate_id,
+    });
+  },
+};
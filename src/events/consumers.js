@@ -0,0 +1,25 @@
+// Registry of in-process consumers of the domain event stream.
+// Each consumer gets every event (or only `types`, if given) at least once, in
+// (txid, id) order: by the writing transaction's txid, then by id (see
+// EventService). Not id order: an id can become visible after a higher one has
+// already been handled. Handlers must be idempotent: an event is redelivered if
+// the process stops between handling it and the dispatcher saving the
+// consumer's offset.
+
+const consumers = new Map();
+
+function registerConsumer({ name, types = null, handle }) {
+  if (!name || typeof handle !== 'function') {
+    throw new Error('A consumer needs a name and a handle(event) function');
+  }
+  if (consumers.has(name)) {
+    throw new Error(`Event consumer "${name}" is already registered`);
+  }
+  consumers.set(name, { name, types, handle });
+}
+
+function getConsumers() {
+  return [...consumers.values()];
+}
+
+module.exports = { registerConsumer, getConsumers };
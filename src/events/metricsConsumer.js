@@ -0,0 +1,19 @@
+const { bookingFunnel } = require('../lib/metrics');
+
+const STAGE_BY_EVENT = {
+  'booking.created': 'created',
+  'booking.confirmed': 'confirmed',
+  'booking.expired': 'expired',
+  'booking.cancelled': 'cancelled',
+};
+
+// Counts the booking funnel from committed events, so rolled-back bookings are
+// never counted and each event is counted by one instance only (the
+// dispatcher delivers a consumer's events from one instance at a time).
+module.exports = {
+  name: 'metrics',
+  types: Object.keys(STAGE_BY_EVENT),
+  async handle(event) {
+    bookingFunnel.inc({ stage: STAGE_BY_EVENT[event.event_type] });
+  },
+};
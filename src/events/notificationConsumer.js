@@ -0,0 +1,18 @@
+const NotificationService = require('../services/notificationService');
+
+const KIND_BY_EVENT = {
+  'booking.confirmed': 'booking_confirmed',
+  'booking.expired': 'booking_expired',
+  'booking.cancelled': 'booking_cancelled',
+};
+
+// Emails the customer when their booking is confirmed, expires or is cancelled.
+// NotificationService records each (booking, kind) once, so redelivered events
+// don't send twice; a transport error fails the event and it is retried.
+module.exports = {
+  name: 'customer-notifications',
+  types: Object.keys(KIND_BY_EVENT),
+  async handle(event) {
+    await NotificationService.notify(event.payload.booking_id, KIND_BY_EVENT[event.event_type]);
+  },
+};
@@ -0,0 +1,17 @@
+const WebhookService = require('../services/webhookService');
+const logger = require('../lib/logger').logger.child({ component: 'webhooks' });
+
+// Queues a delivery for every partner subscription matching the event.
+// Redelivered events are harmless: deliveries are unique per (subscription, event).
+module.exports = {
+  name: 'webhook-fanout',
+  types: WebhookService.SUBSCRIBABLE_EVENTS,
+  async handle(event) {
+    const queued = await WebhookService.enqueueForEvent(event);
+    if (queued > 0) {
+      logger.info('Queued webhook deliveries', {
+        count: queued, event_id: event.id, event_type: event.event_type,
+      });
+    }
+  },
+};
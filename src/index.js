@@ -2,20 +2,67 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const morgan = require('morgan');
 
 const tripRoutes = require('./routes/trips');
 const bookingRoutes = require('./routes/bookings');
 const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
+const refundPolicyRoutes = require('./routes/refundPolicies');
+const promoCodeRoutes = require('./routes/promoCodes');
+const groupDiscountRoutes = require('./routes/groupDiscounts');
+const pricingRuleRoutes = require('./routes/pricingRules');
+const userRoutes = require('./routes/users');
+const eventRoutes = require('./routes/events');
+const webhookRoutes = require('./routes/webhooks');
+const manifestRoutes = require('./routes/manifests');
 const { startExpiryJob } = require('./jobs/expireBookings');
+const { startRefundJob } = require('./jobs/processRefunds');
+const { startEventDispatcher } = require('./jobs/dispatchEvents');
+const { startWebhookJob } = require('./jobs/deliverWebhooks');
+const { startReminderJob } = require('./jobs/sendReminders');
+const { registerConsumer } = require('./events/consumers');
+const consoleConsumer = require('./events/consoleConsumer');
+const webhookConsumer = require('./events/webhookConsumer');
+const notificationConsumer = require('./events/notificationConsumer');
+const metricsConsumer = require('./events/metricsConsumer');
+const { authenticate, requireRole } = require('./middleware/auth');
+const { requestId, accessLog } = require('./middleware/requestId');
+const { httpMetrics } = require('./middleware/httpMetrics');
+const { requireMetricsToken } = require('./middleware/metricsAuth');
+const metrics = require('./lib/metrics');
+const { logger } = require('./lib/logger');
+
+// Domain event consumers
+registerConsumer(webhookConsumer);
+registerConsumer(notificationConsumer);
+registerConsumer(metricsConsumer);
+if (process.env.EVENT_CONSOLE_CONSUMER === 'true') {
+  registerConsumer(consoleConsumer);
+}
 
 const app = express();
 
 // Middleware
+app.use(requestId);
+app.use(accessLog);
+app.use(httpMetrics);
 app.use(cors());
-app.use(express.json());
-app.use(morgan('dev'));
+app.use(express.json({
+  // Keep the raw bytes around so webhook signatures can be verified
+  verify: (req, res, buf) => { req.rawBody = buf; },
+}));
+
+// Prometheus scrape endpoint, behind its own token rather than a user JWT
+app.get('/metrics', requireMetricsToken, async (req, res, next) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.use(authenticate);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -25,13 +72,28 @@ app.get('/health', (req, res) => {
 // Routes
 app.use('/trips', tripRoutes);
 app.use('/bookings', bookingRoutes);
+app.use('/users', userRoutes);
 app.use('/payments', paymentRoutes);
-app.use('/admin', adminRoutes);
+app.use('/refund-policies', refundPolicyRoutes);
+app.use('/promo-codes', promoCodeRoutes);
+app.use('/group-discounts', groupDiscountRoutes);
+app.use('/pricing-rules', pricingRuleRoutes);
+app.use('/events', eventRoutes);
+app.use('/webhooks', webhookRoutes);
+// Manifests are open to operators too; everything else under /admin is admin-only
+app.use('/admin/trips', requireRole('operator', 'admin'), manifestRoutes);
+app.use('/admin', requireRole('admin'), adminRoutes);
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(err.status || 500).json({
+  const status = err.status || 500;
+  const fields = { err, method: req.method, path: req.originalUrl };
+  if (status >= 500) {
+    logger.error('Unhandled error', fields);
+  } else {
+    logger.warn('Request error', { ...fields, err: err.message });
+  }
+  res.status(status).json({
     error: err.message || 'Internal server error',
   });
 });
@@ -39,9 +101,17 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
-  console.log(`GoTyolo API running on port ${PORT}`);
+  logger.info('GoTyolo API listening', { port: Number(PORT) });
   // Start background job for auto-expiring bookings
   startExpiryJob();
+  // Start background job for sending and retrying refunds
+  startRefundJob();
+  // Deliver outbox events to registered consumers
+  startEventDispatcher();
+  // Send partner webhook deliveries and retry failed ones
+  startWebhookJob();
+  // Payment and departure reminder emails
+  startReminderJob();
 });
 
 module.exports = app; // for testing
@@ -0,0 +1,56 @@
+const cron = require('node-cron');
+const WebhookService = require('../services/webhookService');
+const logger = require('../lib/logger').logger.child({ job: 'webhook-job' });
+
+// Sends due partner webhook deliveries. Failed attempts are rescheduled with
+// exponential backoff by WebhookService and dead-lettered after
+// WEBHOOK_MAX_ATTEMPTS; DEAD deliveries can be requeued through the API.
+async function deliverDueWebhooks() {
+  const batchSize = parseInt(process.env.WEBHOOK_DELIVERY_BATCH_SIZE, 10) || 50;
+  const due = await WebhookService.claimDue(batchSize);
+
+  if (due.length === 0) return;
+
+  logger.info('Sending webhook deliveries', { count: due.length });
+
+  for (const delivery of due) {
+    try {
+      await WebhookService.attempt(delivery);
+    } catch (err) {
+      logger.error('Failed to record delivery', { delivery_id: delivery.id, err });
+    }
+  }
+}
+
+function startWebhookJob() {
+  let running = false;
+  // Run every 10 seconds; skip a tick if the previous run is still going
+  cron.schedule('*/10 * * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      await deliverDueWebhooks();
+    } catch (err) {
+      logger.error('Unexpected error', { err });
+    } finally {
+      running = false;
+    }
+  });
+  logger.info('Scheduled — runs every 10 seconds');
+}
+
+// Allow running standalone: node src/jobs/deliverWebhooks.js
+if (require.main === module) {
+  require('dotenv').config();
+  deliverDueWebhooks()
+    .then(() => {
+      logger.info('Manual run complete');
+      process.exit(0);
+    })
+    .catch((err) => {
+      logger.error('Manual run failed', { err });
+      process.exit(1);
+    });
+}
+
+module.exports = { startWebhookJob, deliverDueWebhooks };
@@ -0,0 +1,100 @@
+const cron = require('node-cron');
+const { getClient } = require('../db/pool');
+const EventService = require('../services/eventService');
+const { getConsumers } = require('../events/consumers');
+const logger = require('../lib/logger').logger.child({ job: 'event-dispatcher' });
+
+// Delivers the next batch of events to one consumer. The consumer's offset row
+// is locked for the whole batch, so only one app instance delivers to a given
+// consumer at a time. A failing handler stops the batch; the offset is saved up
+// to the last event that was handled, and the failed one is retried next run.
+// last_event_id is a position in EventService's (txid, id) order, not a
+// high-water mark on ids.
+async function dispatchToConsumer(consumer) {
+  const batchSize = parseInt(process.env.EVENT_DISPATCH_BATCH_SIZE, 10) || 100;
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `INSERT INTO event_consumer_offsets (consumer) VALUES ($1) ON CONFLICT (consumer) DO NOTHING`,
+      [consumer.name]
+    );
+    const offsetRow = await client.query(
+      `SELECT last_event_id FROM event_consumer_offsets WHERE consumer = $1 FOR UPDATE SKIP LOCKED`,
+      [consumer.name]
+    );
+    if (offsetRow.rows.length === 0) {
+      // Another instance is delivering to this consumer right now
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    let lastEventId = parseInt(offsetRow.rows[0].last_event_id, 10);
+    const events = await EventService.listBatch(client, lastEventId, batchSize);
+
+    let delivered = 0;
+    let failure = null;
+    for (const event of events) {
+      if (!consumer.types || consumer.types.includes(event.event_type)) {
+        try {
+          await consumer.handle(event);
+          delivered++;
+        } catch (err) {
+          failure = err;
+          logger.error('Consumer failed on event', {
+            consumer: consumer.name, event_id: event.id, event_type: event.event_type, err,
+          });
+          break;
+        }
+      }
+      lastEventId = parseInt(event.id, 10);
+    }
+
+    await client.query(
+      `UPDATE event_consumer_offsets
+       SET last_event_id = $2,
+           failures = CASE WHEN $3::text IS NULL THEN 0 ELSE failures + 1 END,
+           last_error = $3
+       WHERE consumer = $1`,
+      [consumer.name, lastEventId, failure ? failure.message : null]
+    );
+
+    await client.query('COMMIT');
+    return delivered;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function dispatchEvents() {
+  for (const consumer of getConsumers()) {
+    try {
+      await dispatchToConsumer(consumer);
+    } catch (err) {
+      logger.error('Dispatch errored', { consumer: consumer.name, err });
+    }
+  }
+}
+
+function startEventDispatcher() {
+  let running = false;
+  // Run every 5 seconds; skip a tick if the previous run is still going
+  cron.schedule('*/5 * * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchEvents();
+    } catch (err) {
+      logger.error('Unexpected error', { err });
+    } finally {
+      running = false;
+    }
+  });
+  logger.info('Scheduled — runs every 5 seconds', { consumers: getConsumers().map(c => c.name) });
+}
+
+module.exports = { startEventDispatcher, dispatchEvents, dispatchToConsumer };
@@ -1,14 +1,17 @@
 const cron = require('node-cron');
 const { getClient } = require('../db/pool');
 const BookingService = require('../services/bookingService');
-const TripService = require('../services/tripService');
+const BookingHistoryService = require('../services/bookingHistoryService');
+const BookingTransitionService = require('../services/bookingTransitionService');
+const { canTransition } = require('../lib/bookingStateMachine');
+const { expiryJobDuration, expiryJobExpired } = require('../lib/metrics');
+const logger = require('../lib/logger').logger.child({ job: 'expiry-job' });
 
-async function expireStaleBookings() {
-  const expired = await BookingService.findExpiredPending();
-
-  if (expired.length === 0) return;
+// Expires each stale booking in its own transaction. Returns how many were expired.
+async function expireBookings(expired) {
+  logger.info('Found stale PENDING_PAYMENT bookings', { count: expired.length });
 
-  console.log(`[expiry-job] Found ${expired.length} stale PENDING_PAYMENT booking(s)`);
+  let count = 0;
 
   for (const booking of expired) {
     const client = await getClient();
@@ -18,24 +21,52 @@ async function expireStaleBookings() {
       // Re-lock the booking row to avoid racing with a webhook arriving at the same time
       const locked = await BookingService.getByIdForUpdate(client, booking.id);
 
-      if (!locked || locked.state !== 'PENDING_PAYMENT') {
+      if (!locked || !canTransition(locked.state, 'expire')) {
         // Already handled by a webhook or another job run
         await client.query('ROLLBACK');
         continue;
       }
 
-      await BookingService.expireBooking(client, booking.id);
-      await TripService.incrementSeats(client, booking.trip_id, booking.num_seats);
+      if (new Date(locked.expires_at) >= new Date()) {
+        // Hold was extended after the scan picked it up
+        await client.query('ROLLBACK');
+        continue;
+      }
+
+      await BookingTransitionService.expire(client, locked, {
+        audit: { actor: BookingHistoryService.EXPIRY_JOB_ACTOR, reason: 'hold_expired' },
+        seatReason: 'expired',
+      });
 
       await client.query('COMMIT');
-      console.log(`[expiry-job] Expired booking ${booking.id}, released ${booking.num_seats} seat(s)`);
+      count++;
+      logger.info('Expired booking', {
+        booking_id: booking.id, trip_id: booking.trip_id, seats_released: locked.num_seats,
+      });
     } catch (err) {
       await client.query('ROLLBACK');
-      console.error(`[expiry-job] Failed to expire booking ${booking.id}:`, err.message);
+      logger.error('Failed to expire booking', { booking_id: booking.id, trip_id: booking.trip_id, err });
     } finally {
       client.release();
     }
   }
+
+  return count;
+}
+
+async function expireStaleBookings() {
+  const endTimer = expiryJobDuration.startTimer();
+  let expiredCount = 0;
+  try {
+    const expired = await BookingService.findExpiredPending();
+    if (expired.length > 0) {
+      expiredCount = await expireBookings(expired);
+    }
+    return expiredCount;
+  } finally {
+    endTimer();
+    expiryJobExpired.observe(expiredCount);
+  }
 }
 
 function startExpiryJob() {
@@ -44,10 +75,10 @@ function startExpiryJob() {
     try {
       await expireStaleBookings();
     } catch (err) {
-      console.error('[expiry-job] Unexpected error:', err.message);
+      logger.error('Unexpected error', { err });
     }
   });
-  console.log('[expiry-job] Scheduled — runs every minute');
+  logger.info('Scheduled — runs every minute');
 }
 
 // Allow running standalone: node src/jobs/expireBookings.js
@@ -55,11 +86,11 @@ if (require.main === module) {
   require('dotenv').config();
   expireStaleBookings()
     .then(() => {
-      console.log('[expiry-job] Manual run complete');
+      logger.info('Manual run complete');
       process.exit(0);
     })
     .catch((err) => {
-      console.error('[expiry-job] Manual run failed:', err);
+      logger.error('Manual run failed', { err });
       process.exit(1);
     });
 }
@@ -0,0 +1,50 @@
+const cron = require('node-cron');
+const RefundService = require('../services/refundService');
+const logger = require('../lib/logger').logger.child({ job: 'refund-job' });
+
+// Sends REQUESTED refunds to the payment provider, retries FAILED ones whose
+// backoff has elapsed and resends PROCESSING ones whose lease ran out. Each refund is claimed under a row lock, so
+// overlapping runs (or the cancel route's immediate attempt) never double-send.
+async function processDueRefunds() {
+  const due = await RefundService.findDue();
+
+  if (due.length === 0) return;
+
+  logger.info('Found refunds due for processing', { count: due.length });
+
+  for (const refundId of due) {
+    try {
+      await RefundService.process(refundId);
+    } catch (err) {
+      logger.error('Failed to process refund', { refund_id: refundId, err });
+    }
+  }
+}
+
+function startRefundJob() {
+  // Run every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      await processDueRefunds();
+    } catch (err) {
+      logger.error('Unexpected error', { err });
+    }
+  });
+  logger.info('Scheduled — runs every minute');
+}
+
+// Allow running standalone: node src/jobs/processRefunds.js
+if (require.main === module) {
+  require('dotenv').config();
+  processDueRefunds()
+    .then(() => {
+      logger.info('Manual run complete');
+      process.exit(0);
+    })
+    .catch((err) => {
+      logger.error('Manual run failed', { err });
+      process.exit(1);
+    });
+}
+
+module.exports = { startRefundJob, processDueRefunds };
@@ -0,0 +1,61 @@
+const cron = require('node-cron');
+const NotificationService = require('../services/notificationService');
+const logger = require('../lib/logger').logger.child({ job: 'reminder-job' });
+
+// Time-based notifications: a payment reminder shortly before an unpaid booking
+// expires, and a departure reminder before a confirmed trip starts. Also retries
+// any send whose process died mid-send (stuck in SENDING past its lease).
+async function sendDueReminders() {
+  const paymentMinutes = parseInt(process.env.PAYMENT_REMINDER_MINUTES_BEFORE, 10) || 5;
+  const departureHours = parseInt(process.env.DEPARTURE_REMINDER_HOURS_BEFORE, 10) || 48;
+
+  const due = [
+    ...(await NotificationService.findPaymentReminderCandidates(paymentMinutes))
+      .map(id => ({ id, kind: 'payment_reminder' })),
+    ...(await NotificationService.findDepartureReminderCandidates(departureHours))
+      .map(id => ({ id, kind: 'departure_reminder' })),
+    ...(await NotificationService.findStaleSending())
+      .map(({ booking_id, kind }) => ({ id: booking_id, kind })),
+  ];
+
+  if (due.length === 0) return;
+
+  logger.info('Sending reminders', { count: due.length });
+
+  for (const { id, kind } of due) {
+    try {
+      await NotificationService.notify(id, kind);
+    } catch (err) {
+      // Recorded as FAILED; picked up again next run while attempts remain
+      logger.error('Failed to send reminder', { kind, booking_id: id, err });
+    }
+  }
+}
+
+function startReminderJob() {
+  // Run every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      await sendDueReminders();
+    } catch (err) {
+      logger.error('Unexpected error', { err });
+    }
+  });
+  logger.info('Scheduled — runs every minute');
+}
+
+// Allow running standalone: node src/jobs/sendReminders.js
+if (require.main === module) {
+  require('dotenv').config();
+  sendDueReminders()
+    .then(() => {
+      logger.info('Manual run complete');
+      process.exit(0);
+    })
+    .catch((err) => {
+      logger.error('Manual run failed', { err });
+      process.exit(1);
+    });
+}
+
+module.exports = { startReminderJob, sendDueReminders };
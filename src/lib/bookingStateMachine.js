@@ -0,0 +1,118 @@
+// Booking state machine: the one place that says which changes a booking may
+// go through from which state, and what each sets in motion. Pure, like the
+// other rule modules: the routes, the payment webhook and the expiry job check
+// here before changing anything, BookingService guards its UPDATEs with the
+// same from-states, and BookingTransitionService carries out the side effects.
+//
+//   PENDING_PAYMENT --confirm--> CONFIRMED --cancel--> CANCELLED
+//   PENDING_PAYMENT --cancel--> CANCELLED
+//   PENDING_PAYMENT --expire--> EXPIRED
+//
+// Changes that keep the state (to: null) are listed too, so every action on a
+// booking is checked the same way.
+
+const BOOKING_STATES = ['PENDING_PAYMENT', 'CONFIRMED', 'CANCELLED', 'EXPIRED'];
+const TERMINAL_STATES = ['CANCELLED', 'EXPIRED'];
+
+// verb: how rejections phrase the action ("Cannot <verb> a booking that is ...")
+// releasesSeats: seats go back to the trip 'always', or only while the trip's
+//   refund schedule still refunds something ('if_refundable')
+// refunds: a refund is due (calculated under the trip's schedule unless support
+//   sets the amount), and paid if money was taken, i.e. the booking was CONFIRMED
+// requiresActiveHold: only before expires_at
+const BOOKING_TRANSITIONS = {
+  confirm: { from: ['PENDING_PAYMENT'], to: 'CONFIRMED', verb: 'confirm' },
+  expire: { from: ['PENDING_PAYMENT'], to: 'EXPIRED', verb: 'expire', releasesSeats: 'always' },
+  cancel: {
+    from: ['PENDING_PAYMENT', 'CONFIRMED'], to: 'CANCELLED', verb: 'cancel',
+    releasesSeats: 'if_refundable', refunds: true,
+  },
+  // Support overrides: force_cancel takes any refund amount and always gives
+  // the seats back; transfer moves them to another trip
+  force_cancel: {
+    from: ['PENDING_PAYMENT', 'CONFIRMED'], to: 'CANCELLED', verb: 'cancel',
+    releasesSeats: 'always', refunds: true,
+  },
+  transfer: { from: ['PENDING_PAYMENT', 'CONFIRMED'], to: null, verb: 'transfer', releasesSeats: 'always' },
+  // Only the refund follows the schedule here: the booking no longer holds the
+  // released seats, so they go back to the trip even at 0%
+  release_seats: {
+    from: ['PENDING_PAYMENT', 'CONFIRMED'], to: null, verb: 'release seats from',
+    releasesSeats: 'always', refunds: true,
+  },
+  record_payment_failure: { from: ['PENDING_PAYMENT'], to: null, verb: 'record a failed payment for' },
+  open_payment_session: { from: ['PENDING_PAYMENT'], to: null, verb: 'pay for', requiresActiveHold: true },
+  extend_hold: { from: ['PENDING_PAYMENT'], to: null, verb: 'extend the hold of', requiresActiveHold: true },
+};
+
+// Error codes in rejection payloads
+const TRANSITION_ERRORS = {
+  TERMINAL: 'BOOKING_TERMINAL',
+  ILLEGAL: 'ILLEGAL_BOOKING_TRANSITION',
+  HOLD_EXPIRED: 'BOOKING_HOLD_EXPIRED',
+  // extend_hold's own limits, checked by the route
+  HOLD_EXTENSION_LIMIT: 'BOOKING_HOLD_EXTENSION_LIMIT',
+  HOLD_PAST_TRIP_START: 'BOOKING_HOLD_PAST_TRIP_START',
+  // The guarded UPDATE matched nothing: the booking moved on underneath us
+  CONFLICT: 'BOOKING_TRANSITION_CONFLICT',
+};
+
+function getTransition(action) {
+  const transition = BOOKING_TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown booking action "${action}"`);
+  }
+  return transition;
+}
+
+// States the action may be taken from
+function allowedFrom(action) {
+  return getTransition(action).from;
+}
+
+function canTransition(state, action) {
+  return getTransition(action).from.includes(state);
+}
+
+// The 409 body for an action refused on a booking; every transition failure
+// is reported in this shape. extra adds detail (e.g. the current expires_at).
+//   { error, code, booking_id, state, action, allowed_from, ...extra }
+function rejectTransition(booking, action, code, error, extra = {}) {
+  return {
+    error,
+    code,
+    booking_id: booking.id,
+    state: booking.state,
+    action,
+    allowed_from: getTransition(action).from,
+    ...extra,
+  };
+}
+
+// Why the action can't be taken on this booking now, as a rejectTransition
+// body, or null if it can
+function checkTransition(booking, action, now = new Date()) {
+  const transition = getTransition(action);
+  const rejection = (code, error) => rejectTransition(booking, action, code, error);
+
+  if (!transition.from.includes(booking.state)) {
+    return TERMINAL_STATES.includes(booking.state)
+      ? rejection(TRANSITION_ERRORS.TERMINAL, `Booking is already ${booking.state}`)
+      : rejection(TRANSITION_ERRORS.ILLEGAL, `Cannot ${transition.verb} a booking that is ${booking.state}`);
+  }
+  if (transition.requiresActiveHold && new Date(booking.expires_at) <= now) {
+    return rejection(TRANSITION_ERRORS.HOLD_EXPIRED, 'Booking hold has expired');
+  }
+  return null;
+}
+
+module.exports = {
+  BOOKING_STATES,
+  TERMINAL_STATES,
+  BOOKING_TRANSITIONS,
+  TRANSITION_ERRORS,
+  allowedFrom,
+  canTransition,
+  checkTransition,
+  rejectTransition,
+};
@@ -0,0 +1,26 @@
+// Opaque pagination cursors: base64url JSON of the last row's sort key.
+// Clients pass them back verbatim; they are never meant to be constructed by hand.
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// Returns the decoded cursor, or null if it is malformed
+function decodeCursor(raw) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    if (!cursor || typeof cursor.value !== 'string' || typeof cursor.id !== 'string') return null;
+    return cursor;
+  } catch (err) {
+    return null;
+  }
+}
+
+// SQL rendering a timestamptz column as UTC ISO-8601 with all six fractional
+// digits, for use as a cursor value. A JS Date keeps only milliseconds, and a
+// truncated cursor would skip every row sharing the last row's millisecond.
+function exactTimestampSql(column) {
+  return `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')`;
+}
+
+module.exports = { encodeCursor, decodeCursor, exactTimestampSql };
@@ -0,0 +1,130 @@
+// Pure discount rules: no database access, so the booking flow and any preview
+// apply exactly the same numbers.
+//
+// Discounts stack in a fixed order on the list price (trip price × seats, in the
+// booking currency):
+//   1. the best group discount for the seat count (percent off)
+//   2. the promo code, if any, on what is left (percent off, or a fixed amount)
+// The total discount never exceeds the list price.
+
+const { isSupportedCurrency, isValidAmount, fromMinor, percentOfMinor } = require('./money');
+
+const DISCOUNT_TYPES = ['PERCENT', 'FIXED'];
+
+function normalizeCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+// Validates a promo code as it would be stored. Returns an error message or null.
+function validatePromoCode(promo) {
+  if (!promo.code || !/^[A-Z0-9_-]{3,64}$/.test(normalizeCode(promo.code))) {
+    return 'code must be 3-64 letters, digits, "-" or "_"';
+  }
+  if (!DISCOUNT_TYPES.includes(promo.discount_type)) {
+    return `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}`;
+  }
+  if (promo.discount_type === 'PERCENT') {
+    if (!Number.isInteger(Number(promo.percent_off)) || promo.percent_off < 1 || promo.percent_off > 100) {
+      return 'PERCENT codes need percent_off, an integer between 1 and 100';
+    }
+    if (promo.amount_off !== null && promo.amount_off !== undefined) {
+      return 'PERCENT codes cannot have amount_off';
+    }
+  } else {
+    if (!isSupportedCurrency(promo.currency)) {
+      return 'FIXED codes need a supported currency';
+    }
+    if (!isValidAmount(promo.amount_off, promo.currency) || Number(promo.amount_off) <= 0) {
+      return `FIXED codes need amount_off, a positive amount in ${promo.currency}`;
+    }
+    if (promo.percent_off !== null && promo.percent_off !== undefined) {
+      return 'FIXED codes cannot have percent_off';
+    }
+  }
+  for (const field of ['valid_from', 'valid_until']) {
+    if (promo[field] && Number.isNaN(new Date(promo[field]).getTime())) {
+      return `${field} must be an ISO 8601 date`;
+    }
+  }
+  if (promo.valid_from && promo.valid_until && new Date(promo.valid_until) <= new Date(promo.valid_from)) {
+    return 'valid_until must be after valid_from';
+  }
+  for (const field of ['max_redemptions', 'max_redemptions_per_user']) {
+    const value = promo[field];
+    if (value !== null && value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      return `${field} must be a positive integer`;
+    }
+  }
+  return null;
+}
+
+// Why a promo code can't be used for this booking, or null if it can.
+// Redemption counts must be read while the code's row is locked.
+function promoIneligibility(promo, { tripId, now = new Date(), totalRedemptions, userRedemptions }) {
+  if (!promo || !promo.active) {
+    return 'Promo code is not valid';
+  }
+  if (promo.trip_id && promo.trip_id !== tripId) {
+    return 'Promo code does not apply to this trip';
+  }
+  if (promo.valid_from && now < new Date(promo.valid_from)) {
+    return 'Promo code is not active yet';
+  }
+  if (promo.valid_until && now >= new Date(promo.valid_until)) {
+    return 'Promo code has expired';
+  }
+  if (promo.max_redemptions && totalRedemptions >= promo.max_redemptions) {
+    return 'Promo code has been fully redeemed';
+  }
+  if (promo.max_redemptions_per_user && userRedemptions >= promo.max_redemptions_per_user) {
+    return 'You have already used this promo code the maximum number of times';
+  }
+  return null;
+}
+
+// Applies the group rule and promo code to a list price in minor units.
+// For FIXED codes, promoAmountOffMinor is the amount off already converted to
+// the booking currency. Returns { discountMinor, discounts } where discounts is
+// the breakdown stored on the booking.
+function applyDiscounts({ listMinor, currency, groupRule = null, promo = null, promoAmountOffMinor = 0 }) {
+  const discounts = [];
+  let remaining = listMinor;
+
+  if (groupRule) {
+    const off = percentOfMinor(remaining, groupRule.percent_off);
+    remaining -= off;
+    discounts.push({
+      type: 'group',
+      group_discount_id: groupRule.id,
+      min_seats: groupRule.min_seats,
+      percent_off: groupRule.percent_off,
+      amount: fromMinor(off, currency),
+    });
+  }
+
+  if (promo) {
+    const off = promo.discount_type === 'PERCENT'
+      ? percentOfMinor(remaining, promo.percent_off)
+      : Math.min(promoAmountOffMinor, remaining);
+    remaining -= off;
+    discounts.push({
+      type: 'promo',
+      code: promo.code,
+      discount_type: promo.discount_type,
+      ...(promo.discount_type === 'PERCENT'
+        ? { percent_off: promo.percent_off }
+        : { amount_off: Number(promo.amount_off), amount_off_currency: promo.currency }),
+      amount: fromMinor(off, currency),
+    });
+  }
+
+  return { discountMinor: listMinor - remaining, discounts };
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  validatePromoCode,
+  promoIneligibility,
+  applyDiscounts,
+};
@@ -0,0 +1,140 @@
+const { logger } = require('./logger');
+
+// Streaming CSV / JSON writers for the export endpoints. Rows arrive in batches
+// from a database cursor (ExportService.stream) and are written as they come,
+// waiting for the socket to drain, so an export never sits in memory whole.
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const FORMAT_TYPES = { 'text/csv': 'csv', 'application/json': 'json' };
+
+// ?format= wins over the Accept header; CSV unless JSON is preferred (no
+// Accept header, or */*, gets CSV). Returns { format }, or { status, error }:
+// 400 for an unknown ?format, 406 when Accept allows neither format.
+function negotiateFormat(req) {
+  if (req.query.format) {
+    return EXPORT_FORMATS.includes(req.query.format)
+      ? { format: req.query.format }
+      : { status: 400, error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+  const type = req.accepts(Object.keys(FORMAT_TYPES));
+  return type
+    ? { format: FORMAT_TYPES[type] }
+    : { status: 406, error: `Exports are available as ${Object.keys(FORMAT_TYPES).join(' or ')}` };
+}
+
+// Parses ?columns=a,b into a subset of `available`, in the order asked for.
+// Returns { columns } or { error }.
+function parseColumns(value, available) {
+  if (value === undefined || value === '') {
+    return { columns: available };
+  }
+  const columns = String(value).split(',').map(c => c.trim()).filter(Boolean);
+  const unknown = columns.filter(c => !available.includes(c));
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `columns must be a comma-separated list of: ${available.join(', ')}` };
+  }
+  return { columns: [...new Set(columns)] };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep spreadsheets from running text as a formula; numbers (even negative) are left alone
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvValue).join(',')}\r\n`;
+}
+
+// Returns { write(rows), end(), started }. The response only starts with the
+// first rows (or at the end), so a query that fails straight away can still
+// get an error response. write resolves once the socket can take more, and to
+// false if the client has gone away.
+function createExportWriter(res, { format, columns, filename }) {
+  let rowsWritten = 0;
+  const writer = { started: false };
+
+  const start = () => {
+    if (writer.started) return;
+    writer.started = true;
+    res.status(200);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      res.write(csvLine(columns));
+    } else {
+      res.set('Content-Type', 'application/json; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      res.write('[');
+    }
+  };
+
+  const serialize = row => {
+    if (format === 'csv') {
+      return csvLine(columns.map(c => row[c]));
+    }
+    const json = JSON.stringify(Object.fromEntries(columns.map(c => [c, row[c] === undefined ? null : row[c]])));
+    return `${rowsWritten === 0 ? '' : ','}\n${json}`;
+  };
+
+  return Object.assign(writer, {
+    async write(rows) {
+      if (res.destroyed) return false;
+      start();
+      let chunk = '';
+      for (const row of rows) {
+        chunk += serialize(row);
+        rowsWritten++;
+      }
+      if (!res.write(chunk)) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+      return !res.destroyed;
+    },
+
+    end() {
+      start();
+      res.end(format === 'json' ? `${rowsWritten === 0 ? '' : '\n'}]\n` : undefined);
+      return rowsWritten;
+    },
+  });
+}
+
+// Streams whatever `produce` hands its callback to the response and returns
+// the number of rows sent. produce(onBatch) is e.g. ExportService.streamBookings.
+// Failing before anything was sent throws, for the usual error response; once
+// the response has started all that can be done is to cut it short.
+async function streamExport(res, options, produce) {
+  const writer = createExportWriter(res, options);
+  try {
+    await produce(rows => writer.write(rows));
+  } catch (err) {
+    if (!writer.started) throw err;
+    logger.error('Export failed part-way, response cut short', { filename: options.filename, err });
+    res.destroy();
+    return null;
+  }
+  return writer.end();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  negotiateFormat,
+  parseColumns,
+  csvLine,
+  createExportWriter,
+  streamExport,
+};
@@ -0,0 +1,76 @@
+// Structured logger: one JSON object per line on stdout (errors on stderr), e.g.
+//   {"time":"…","level":"info","msg":"Booking confirmed","request_id":"…","booking_id":"…"}
+//
+// Fields bound to the current async context (the request ID set by the
+// requestId middleware) are added to every line logged while handling it, so
+// services don't need a logger passed in to be correlated. child() binds
+// fields of its own, e.g. { job: 'expiry-job' }.
+//
+// LOG_LEVEL: debug | info (default) | warn | error
+// LOG_FORMAT: json (default) | pretty (single-line text for local development)
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined && { code: err.code }),
+    stack: err.stack,
+  };
+}
+
+function format(entry) {
+  if (process.env.LOG_FORMAT !== 'pretty') {
+    return JSON.stringify(entry);
+  }
+  const { time, level, msg, ...fields } = entry;
+  const rest = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest ? ` ${rest}` : ''}`;
+}
+
+function write(level, bindings, msg, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = { time: new Date().toISOString(), level, msg, ...context.getStore(), ...bindings };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+
+  const stream = LEVELS[level] >= LEVELS.error ? process.stderr : process.stdout;
+  stream.write(`${format(entry)}\n`);
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: extra => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+// Runs fn with `fields` added to every line logged from it, including from
+// callbacks and promises it starts
+function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function getLogContext() {
+  return context.getStore() || {};
+}
+
+const logger = createLogger();
+
+module.exports = { logger, runWithLogContext, getLogContext };
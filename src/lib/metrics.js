@@ -0,0 +1,78 @@
+// Prometheus metrics, served in text format at GET /metrics.
+//
+// Everything is registered on one registry so the endpoint and the code that
+// records metrics share it. Process metrics (CPU, memory, event loop lag) come
+// from prom-client's defaults, prefixed like the rest.
+
+const client = require('prom-client');
+const { pool } = require('../db/pool');
+
+const PREFIX = 'gotyolo_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const httpRequestDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'HTTP request latency by route template',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register],
+});
+
+// pg pool stats, read when scraped
+const poolGauges = [
+  ['db_pool_clients_total', 'Clients in the pg pool (idle and checked out)', () => pool.totalCount],
+  ['db_pool_clients_idle', 'Idle clients in the pg pool', () => pool.idleCount],
+  ['db_pool_clients_waiting', 'Queries waiting for a pg pool client', () => pool.waitingCount],
+];
+for (const [name, help, read] of poolGauges) {
+  new client.Gauge({
+    name: `${PREFIX}${name}`,
+    help,
+    registers: [register],
+    collect() {
+      this.set(read());
+    },
+  });
+}
+
+const expiryJobDuration = new client.Histogram({
+  name: `${PREFIX}expiry_job_run_duration_seconds`,
+  help: 'Duration of expiry job runs',
+  buckets: [0.01, 0.05, 0.1, 0.5, 1, 5, 15, 60],
+  registers: [register],
+});
+
+const expiryJobExpired = new client.Histogram({
+  name: `${PREFIX}expiry_job_bookings_expired`,
+  help: 'Bookings expired per expiry job run',
+  buckets: [0, 1, 5, 10, 50, 100, 500],
+  registers: [register],
+});
+
+// confirmed, late, duplicate, failed (booking left retryable or expired),
+// unknown (unrecognized status, unknown booking or missing fields), error
+const paymentWebhooks = new client.Counter({
+  name: `${PREFIX}payment_webhooks_total`,
+  help: 'Payment webhooks processed, by outcome',
+  labelNames: ['outcome'],
+  registers: [register],
+});
+
+// Fed from the domain event stream (see src/events/metricsConsumer.js)
+const bookingFunnel = new client.Counter({
+  name: `${PREFIX}bookings_total`,
+  help: 'Booking funnel: bookings created, confirmed, expired and cancelled',
+  labelNames: ['stage'],
+  registers: [register],
+});
+
+module.exports = {
+  register,
+  httpRequestDuration,
+  expiryJobDuration,
+  expiryJobExpired,
+  paymentWebhooks,
+  bookingFunnel,
+};
@@ -0,0 +1,85 @@
+// Money helpers. Amounts are stored as NUMERIC in the database and exposed as
+// decimal numbers in the API, but every sum, proration, percentage and
+// conversion is done on integer minor units (cents; whole yen for JPY) so
+// refunds and revenue never pick up floating-point drift.
+
+// ISO 4217 codes we sell in, with their number of minor-unit digits
+const CURRENCIES = {
+  EUR: { exponent: 2 },
+  USD: { exponent: 2 },
+  JPY: { exponent: 0 },
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+const DEFAULT_CURRENCY = 'EUR';
+
+function isSupportedCurrency(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+}
+
+function exponentOf(currency) {
+  if (!isSupportedCurrency(currency)) {
+    throw new Error(`Unsupported currency "${currency}"`);
+  }
+  return CURRENCIES[currency].exponent;
+}
+
+// True if `amount` is a non-negative number with no more decimals than the currency allows
+function isValidAmount(amount, currency) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value < 0) return false;
+  const factor = 10 ** exponentOf(currency);
+  return Math.abs(Math.round(value * factor) - value * factor) < 1e-6;
+}
+
+// Decimal amount (number or NUMERIC string) → integer minor units
+function toMinor(amount, currency) {
+  return Math.round(Number(amount) * 10 ** exponentOf(currency));
+}
+
+// Integer minor units → decimal amount
+function fromMinor(minor, currency) {
+  const exponent = exponentOf(currency);
+  return Number((minor / 10 ** exponent).toFixed(exponent));
+}
+
+// `percent`% of an amount, rounded to the nearest minor unit
+function percentOfMinor(minor, percent) {
+  return Math.round(minor * percent / 100);
+}
+
+// The `part`/`whole` share of an amount, rounded to the nearest minor unit
+function prorateMinor(minor, part, whole) {
+  return Math.round(minor * part / whole);
+}
+
+// Converts minor units between currencies. `rate` is units of `to` per one unit of `from`.
+function convertMinor(minor, from, to, rate) {
+  if (from === to) return minor;
+  const scale = 10 ** (exponentOf(to) - exponentOf(from));
+  return Math.round(minor * Number(rate) * scale);
+}
+
+// "1,234.50 EUR" / "15,000 JPY", for emails and other human-facing text
+function formatMoney(amount, currency) {
+  const exponent = exponentOf(currency);
+  const formatted = Number(amount).toLocaleString('en-US', {
+    minimumFractionDigits: exponent,
+    maximumFractionDigits: exponent,
+  });
+  return `${formatted} ${currency}`;
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  exponentOf,
+  isValidAmount,
+  toMinor,
+  fromMinor,
+  percentOfMinor,
+  prorateMinor,
+  convertMinor,
+  formatMoney,
+};
@@ -0,0 +1,108 @@
+// Plain-text email templates, one per notification kind.
+// Each takes { booking, trip } (rows as returned by the services) and returns { subject, text }.
+// booking_cancelled also gets `refund` (the cancellation's refund record, or null) and
+// payment_reminder `paymentUrl` (the booking's checkout, see PaymentSessionService.paymentUrl).
+
+const { formatMoney } = require('./money');
+
+function formatDate(value) {
+  return new Date(value).toUTCString();
+}
+
+function signature() {
+  return '\n— The GoTyolo team';
+}
+
+function tripSummary(trip) {
+  return [
+    `Trip:        ${trip.title}`,
+    `Destination: ${trip.destination}`,
+    `Dates:       ${formatDate(trip.start_date)} – ${formatDate(trip.end_date)}`,
+  ].join('\n');
+}
+
+const TEMPLATES = {
+  booking_confirmed: ({ booking, trip }) => ({
+    subject: `Booking confirmed: ${trip.title}`,
+    text: [
+      'Your booking is confirmed.',
+      '',
+      tripSummary(trip),
+      `Seats:       ${booking.num_seats}`,
+      `Total paid:  ${formatMoney(booking.price_at_booking, booking.currency)}`,
+      `Booking ID:  ${booking.id}`,
+      signature(),
+    ].join('\n'),
+  }),
+
+  payment_reminder: ({ booking, trip, paymentUrl }) => ({
+    subject: `Complete your payment for ${trip.title}`,
+    text: [
+      `Your seats on ${trip.title} are held until ${formatDate(booking.expires_at)}.`,
+      'If payment has not arrived by then, the booking expires and the seats are released.',
+      '',
+      `Seats:       ${booking.num_seats}`,
+      `Amount due:  ${formatMoney(booking.price_at_booking, booking.currency)}`,
+      `Pay here:    ${paymentUrl}`,
+      signature(),
+    ].join('\n'),
+  }),
+
+  booking_expired: ({ booking, trip }) => ({
+    subject: `Booking expired: ${trip.title}`,
+    text: [
+      `We didn't receive payment for your booking on ${trip.title} in time, so it has expired`,
+      'and the seats have been released. You are welcome to book again if seats are still available.',
+      '',
+      `Booking ID:  ${booking.id}`,
+      signature(),
+    ].join('\n'),
+  }),
+
+  booking_cancelled: ({ booking, trip, refund = null }) => {
+    // Only paid bookings have anything to refund; an unpaid hold never took money
+    let refundLine;
+    if (refund) {
+      refundLine = `Refund:      ${formatMoney(refund.amount, booking.currency)} (on its way to your original payment method)`;
+    } else if (booking.payment_reference) {
+      refundLine = 'Refund:      none under the trip\'s refund policy';
+    } else {
+      refundLine = 'No payment was taken for this booking, so there is nothing to refund.';
+    }
+    return {
+      subject: `Booking cancelled: ${trip.title}`,
+      text: [
+        `Your booking on ${trip.title} has been cancelled.`,
+        trip.status === 'CANCELLED' ? 'The operator cancelled this trip.' : null,
+        '',
+        refundLine,
+        `Booking ID:  ${booking.id}`,
+        signature(),
+      ].filter(line => line !== null).join('\n'),
+    };
+  },
+
+  departure_reminder: ({ booking, trip }) => ({
+    subject: `Your trip to ${trip.destination} starts soon`,
+    text: [
+      `Get ready — ${trip.title} starts on ${formatDate(trip.start_date)}.`,
+      '',
+      tripSummary(trip),
+      `Seats:       ${booking.num_seats}`,
+      `Booking ID:  ${booking.id}`,
+      signature(),
+    ].join('\n'),
+  }),
+};
+
+const NOTIFICATION_KINDS = Object.keys(TEMPLATES);
+
+function renderNotification(kind, context) {
+  const template = TEMPLATES[kind];
+  if (!template) {
+    throw new Error(`No template for notification kind "${kind}"`);
+  }
+  return template(context);
+}
+
+module.exports = { NOTIFICATION_KINDS, renderNotification };
@@ -0,0 +1,114 @@
+// Dynamic pricing rules: no database access, so quotes, bookings and waitlist
+// offers price a trip from the same signals with the same arithmetic.
+//
+// A rule moves the per-seat price by adjustment_percent (positive raises it,
+// negative lowers it) while all of its conditions hold:
+//   min_occupancy_percent <= occupancy <  max_occupancy_percent
+//   min_days_to_departure <= days left <= max_days_to_departure
+// Unset bounds are open. Matching rules apply one after the other, lowest
+// priority first, each on the price the previous one produced.
+//
+//   "+10% once occupancy passes 70%"      { min_occupancy_percent: 70, adjustment_percent: 10 }
+//   "-20% inside 7 days below 50% full"   { max_days_to_departure: 7, max_occupancy_percent: 50,
+//                                           adjustment_percent: -20 }
+
+const { fromMinor, percentOfMinor } = require('./money');
+
+const MIN_ADJUSTMENT_PERCENT = -90;
+const MAX_ADJUSTMENT_PERCENT = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isOptionalIntegerBetween(value, min, max) {
+  return value === null || value === undefined
+    || (Number.isInteger(value) && value >= min && value <= max);
+}
+
+// Validates a pricing rule as it would be stored. Returns an error message or null.
+function validatePricingRule(rule) {
+  if (!rule.name || typeof rule.name !== 'string' || rule.name.length > 255) {
+    return 'name is required (up to 255 characters)';
+  }
+  const pct = rule.adjustment_percent;
+  if (!Number.isInteger(pct) || pct === 0 || pct < MIN_ADJUSTMENT_PERCENT || pct > MAX_ADJUSTMENT_PERCENT) {
+    return `adjustment_percent must be a non-zero integer between ${MIN_ADJUSTMENT_PERCENT} and ${MAX_ADJUSTMENT_PERCENT}`;
+  }
+  for (const field of ['min_occupancy_percent', 'max_occupancy_percent']) {
+    if (!isOptionalIntegerBetween(rule[field], 0, 100)) {
+      return `${field} must be an integer between 0 and 100`;
+    }
+  }
+  for (const field of ['min_days_to_departure', 'max_days_to_departure']) {
+    if (!isOptionalIntegerBetween(rule[field], 0, 3650)) {
+      return `${field} must be a non-negative integer`;
+    }
+  }
+  if (rule.min_occupancy_percent != null && rule.max_occupancy_percent != null
+      && rule.max_occupancy_percent <= rule.min_occupancy_percent) {
+    return 'max_occupancy_percent must be greater than min_occupancy_percent';
+  }
+  if (rule.min_days_to_departure != null && rule.max_days_to_departure != null
+      && rule.max_days_to_departure < rule.min_days_to_departure) {
+    return 'max_days_to_departure must not be less than min_days_to_departure';
+  }
+  if (rule.min_occupancy_percent == null && rule.max_occupancy_percent == null
+      && rule.min_days_to_departure == null && rule.max_days_to_departure == null) {
+    return 'A rule needs at least one occupancy or days-to-departure condition';
+  }
+  if (rule.priority !== undefined && !Number.isInteger(rule.priority)) {
+    return 'priority must be an integer';
+  }
+  return null;
+}
+
+// Occupancy (seats held by pending or confirmed bookings, as a whole percentage
+// of capacity, rounded like /admin/trips/at-risk) and whole days left before the trip starts
+function pricingSignals(trip, now = new Date()) {
+  const booked = trip.max_capacity - trip.available_seats;
+  return {
+    occupancy_percent: trip.max_capacity > 0 ? Math.round((booked / trip.max_capacity) * 100) : 0,
+    days_to_departure: Math.max(0, Math.floor((new Date(trip.start_date) - now) / DAY_MS)),
+  };
+}
+
+function ruleMatches(rule, signals) {
+  const { occupancy_percent: occupancy, days_to_departure: days } = signals;
+  if (rule.min_occupancy_percent != null && occupancy < rule.min_occupancy_percent) return false;
+  if (rule.max_occupancy_percent != null && occupancy >= rule.max_occupancy_percent) return false;
+  if (rule.min_days_to_departure != null && days < rule.min_days_to_departure) return false;
+  if (rule.max_days_to_departure != null && days > rule.max_days_to_departure) return false;
+  return true;
+}
+
+// Applies the matching rules to a per-seat price in minor units of the trip
+// currency. `rules` must be active and ordered by priority. Returns
+// { unitMinor, adjustments } where adjustments is the breakdown stored with
+// the price.
+function applyPricingRules({ unitMinor, currency, rules, signals }) {
+  const adjustments = [];
+  let price = unitMinor;
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, signals)) continue;
+    const change = Math.sign(rule.adjustment_percent)
+      * percentOfMinor(price, Math.abs(rule.adjustment_percent));
+    price += change;
+    adjustments.push({
+      pricing_rule_id: rule.id,
+      name: rule.name,
+      adjustment_percent: rule.adjustment_percent,
+      amount: fromMinor(change, currency),
+    });
+  }
+
+  return { unitMinor: price, adjustments };
+}
+
+module.exports = {
+  MIN_ADJUSTMENT_PERCENT,
+  MAX_ADJUSTMENT_PERCENT,
+  validatePricingRule,
+  pricingSignals,
+  ruleMatches,
+  applyPricingRules,
+};
@@ -0,0 +1,75 @@
+const dns = require('dns').promises;
+const { BlockList, isIP } = require('net');
+
+// Outbound requests to URLs chosen by API clients (partner webhooks) must only
+// reach the public internet, never the hosts on our own network.
+
+const PRIVATE_RANGES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, broadcast
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges
+function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (family === 0) return true;
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Checks that url is http(s) and that its host, and every address it resolves
+// to, is public. Returns an error message, or null if the URL may be called.
+// Run it again right before each request: DNS answers can change.
+async function checkPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must be an absolute http(s) URL';
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return 'url must not point at a private, loopback or link-local address';
+  }
+
+  let addresses;
+  if (isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.lookup(host, { all: true, verbatim: true })).map(a => a.address);
+    } catch (err) {
+      return `url host ${host} could not be resolved`;
+    }
+  }
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    return 'url must not point at a private, loopback or link-local address';
+  }
+  return null;
+}
+
+module.exports = { isPrivateAddress, checkPublicUrl };
@@ -0,0 +1,100 @@
+// Pure refund calculation: no database access, so routes can quote and cancel
+// with exactly the same numbers.
+//
+// A schedule is a list of tiers:
+//   [{ min_days_before: 30, refund_percent: 100 },
+//    { min_days_before: 14, refund_percent: 75 },
+//    { min_days_before: 7,  refund_percent: 50 }]
+// The tier with the highest min_days_before that is <= the days left before
+// departure applies. If none applies, nothing is refunded.
+
+const { toMinor, fromMinor, percentOfMinor } = require('./money');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Returns an error message, or null if the tiers are usable
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'refund tiers must be a non-empty array';
+  }
+
+  const seenDays = new Set();
+  for (const tier of tiers) {
+    if (!tier || typeof tier !== 'object') {
+      return 'each refund tier must be an object';
+    }
+    const { min_days_before: days, refund_percent: percent } = tier;
+    if (!Number.isInteger(days) || days < 0) {
+      return 'min_days_before must be a non-negative integer';
+    }
+    if (typeof percent !== 'number' || percent < 0 || percent > 100) {
+      return 'refund_percent must be a number between 0 and 100';
+    }
+    if (seenDays.has(days)) {
+      return `duplicate tier for min_days_before ${days}`;
+    }
+    seenDays.add(days);
+  }
+  return null;
+}
+
+// Highest min_days_before first, keeping only the fields we rely on
+function normalizeTiers(tiers) {
+  return tiers
+    .map(t => ({ min_days_before: t.min_days_before, refund_percent: t.refund_percent }))
+    .sort((a, b) => b.min_days_before - a.min_days_before);
+}
+
+// The original single-cutoff policy expressed as a schedule: cancelling more than
+// `refundable_until_days_before` days out refunds everything minus the fee.
+function tiersFromLegacy(refundableUntilDaysBefore, cancellationFeePercent) {
+  return [{
+    min_days_before: (refundableUntilDaysBefore || 0) + 1,
+    refund_percent: 100 - (cancellationFeePercent || 0),
+  }];
+}
+
+// Picks the schedule for a trip row: its own tiers, then its named policy,
+// then the legacy cutoff/fee columns.
+function resolveTiers(trip) {
+  if (trip.refund_tiers) {
+    return { source: 'trip', tiers: normalizeTiers(trip.refund_tiers) };
+  }
+  if (trip.policy_tiers) {
+    return { source: 'policy', policy_name: trip.policy_name, tiers: normalizeTiers(trip.policy_tiers) };
+  }
+  return {
+    source: 'legacy',
+    tiers: tiersFromLegacy(trip.refundable_until_days_before, trip.cancellation_fee_percent),
+  };
+}
+
+function daysUntil(startDate, now = new Date()) {
+  return Math.floor((new Date(startDate) - now) / MS_PER_DAY);
+}
+
+// `amount` is in `currency`; the refund is rounded to that currency's minor unit
+function calculateRefund({ amount, currency, startDate, tiers, now = new Date() }) {
+  const daysUntilTrip = daysUntil(startDate, now);
+  const tier = normalizeTiers(tiers).find(t => daysUntilTrip >= t.min_days_before) || null;
+  const refundPercent = tier ? tier.refund_percent : 0;
+  const refundMinor = percentOfMinor(toMinor(amount, currency), refundPercent);
+
+  return {
+    amount: fromMinor(refundMinor, currency),
+    currency,
+    refund_percent: refundPercent,
+    is_refundable: refundPercent > 0,
+    days_until_trip: daysUntilTrip,
+    applied_tier: tier,
+  };
+}
+
+module.exports = {
+  validateTiers,
+  normalizeTiers,
+  tiersFromLegacy,
+  resolveTiers,
+  daysUntil,
+  calculateRefund,
+};
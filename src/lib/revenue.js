@@ -0,0 +1,146 @@
+const { toMinor, fromMinor, convertMinor } = require('./money');
+
+// Revenue arithmetic for the admin reports. Bookings are charged in their own
+// currency, so a trip's revenue arrives as groups by booking currency and
+// locked exchange rate (see BookingService.getTripRevenueByRate); each group is
+// converted into the trip's currency at the rate locked on its bookings. Gross
+// revenue is what customers paid, i.e. after discounts, including bookings
+// cancelled after payment; refunds are every refund owed back on them (full and
+// partial cancellations), so net revenue is what was kept. discounts_given is
+// what the discounts on the paid bookings cost.
+
+const REPORT_GROUPS = ['destination', 'month', 'trip'];
+
+function emptyTotals() {
+  return { gross: 0, refunds: 0, discounts: 0 };
+}
+
+function addTotals(target, amounts) {
+  for (const key of Object.keys(target)) {
+    target[key] += amounts[key];
+  }
+}
+
+function formatTotals(t, currency) {
+  return {
+    gross_revenue: fromMinor(t.gross, currency),
+    refunds_issued: fromMinor(t.refunds, currency),
+    net_revenue: fromMinor(t.gross - t.refunds, currency),
+    discounts_given: fromMinor(t.discounts, currency),
+  };
+}
+
+function occupancyPercent(bookedSeats, totalSeats) {
+  return totalSeats > 0 ? Math.round((bookedSeats / totalSeats) * 100) : 0;
+}
+
+// Minor-unit totals in the trip's currency, and per booking currency
+function tripRevenueMinor(tripCurrency, groups) {
+  const total = emptyTotals();
+  const byCurrency = {};
+
+  for (const group of groups) {
+    const amounts = {
+      gross: toMinor(group.gross_revenue, group.currency),
+      refunds: toMinor(group.refunds_issued, group.currency),
+      discounts: toMinor(group.discounts_given, group.currency),
+    };
+    const toTripRate = 1 / Number(group.exchange_rate);
+    const currencyTotal = byCurrency[group.currency] || (byCurrency[group.currency] = emptyTotals());
+
+    for (const key of Object.keys(total)) {
+      total[key] += convertMinor(amounts[key], group.currency, tripCurrency, toTripRate);
+    }
+    addTotals(currencyTotal, amounts);
+  }
+
+  return { total, byCurrency };
+}
+
+// A trip's totals in its own currency, plus what was actually charged and
+// refunded in each booking currency
+function summarizeRevenue(trip, groups) {
+  const { total, byCurrency } = tripRevenueMinor(trip.currency, groups);
+  return {
+    currency: trip.currency,
+    ...formatTotals(total, trip.currency),
+    by_currency: Object.fromEntries(
+      Object.entries(byCurrency).map(([currency, t]) => [currency, formatTotals(t, currency)])
+    ),
+  };
+}
+
+function groupOf(trip, groupBy) {
+  switch (groupBy) {
+    case 'destination':
+      return { key: trip.destination, label: trip.destination };
+    case 'month': {
+      const month = new Date(trip.start_date).toISOString().slice(0, 7);
+      return { key: month, label: month };
+    }
+    case 'trip':
+      return { key: trip.id, label: trip.title };
+    default:
+      throw new Error(`Unknown report grouping "${groupBy}"`);
+  }
+}
+
+// Revenue and occupancy across trips, grouped by destination, month of
+// departure (UTC) or trip, in the report currency. Each trip's totals are
+// converted from its own currency at rates[trip.currency], the current rate
+// into the report currency. trips: [{ trip, booked_seats, revenue }], revenue
+// being the trip's currency/rate groups. Groups come in order of first departure.
+function buildRevenueReport({ trips, groupBy, currency, rates }) {
+  const groups = new Map();
+  const overall = { trips: 0, total_seats: 0, booked_seats: 0, totals: emptyTotals() };
+
+  for (const { trip, booked_seats: bookedSeats, revenue } of trips) {
+    const { key, label } = groupOf(trip, groupBy);
+    const group = groups.get(key)
+      || groups.set(key, { key, label, trips: 0, total_seats: 0, booked_seats: 0, totals: emptyTotals() }).get(key);
+
+    const { total } = tripRevenueMinor(trip.currency, revenue);
+    const converted = {};
+    for (const field of Object.keys(total)) {
+      converted[field] = convertMinor(total[field], trip.currency, currency, rates[trip.currency]);
+    }
+
+    for (const target of [group, overall]) {
+      target.trips += 1;
+      target.total_seats += trip.max_capacity;
+      target.booked_seats += bookedSeats;
+      addTotals(target.totals, converted);
+    }
+  }
+
+  const format = ({ totals, ...counts }) => ({
+    ...counts,
+    occupancy_percent: occupancyPercent(counts.booked_seats, counts.total_seats),
+    ...formatTotals(totals, currency),
+  });
+
+  return {
+    currency,
+    groups: [...groups.values()].map(format),
+    totals: format(overall),
+  };
+}
+
+// Share of created bookings that were paid for, ran out of time, or were
+// cancelled before payment, as percentages to one decimal
+function conversionRates(counts) {
+  const rate = n => (counts.created > 0 ? Math.round((n / counts.created) * 1000) / 10 : 0);
+  return {
+    conversion_rate: rate(counts.confirmed),
+    expiry_rate: rate(counts.expired),
+    unpaid_cancellation_rate: rate(counts.cancelled_unpaid),
+  };
+}
+
+module.exports = {
+  REPORT_GROUPS,
+  occupancyPercent,
+  summarizeRevenue,
+  buildRevenueReport,
+  conversionRates,
+};
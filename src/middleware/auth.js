@@ -0,0 +1,72 @@
+const jwt = require('jsonwebtoken');
+const { validate: isUuid } = require('uuid');
+const { logger } = require('../lib/logger');
+
+const ROLES = ['traveler', 'operator', 'partner', 'admin'];
+
+function getJwtSecret() {
+  return process.env.JWT_SECRET;
+}
+
+// Populates req.user from a "Bearer <jwt>" Authorization header.
+// Requests without a header pass through anonymously; route guards decide.
+function authenticate(req, res, next) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return next();
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authorization header must be "Bearer <token>"' });
+  }
+
+  const secret = getJwtSecret();
+  if (!secret) {
+    logger.error('JWT_SECRET is not configured, rejecting bearer token');
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  if (!isUuid(claims.sub) || !ROLES.includes(claims.role)) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  req.user = { id: claims.sub, role: claims.role };
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+function signToken(user, options = {}) {
+  return jwt.sign({ role: user.role }, getJwtSecret(), {
+    algorithm: 'HS256',
+    subject: user.id,
+    expiresIn: options.expiresIn || '1h',
+  });
+}
+
+module.exports = { ROLES, authenticate, requireAuth, requireRole, signToken };
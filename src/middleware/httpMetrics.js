@@ -0,0 +1,16 @@
+const { httpRequestDuration } = require('../lib/metrics');
+
+// Times every request, labelled with the route template that handled it
+// ("/trips/:tripId/book", not the URL), so IDs don't explode the label set
+function httpMetrics(req, res, next) {
+  const end = httpRequestDuration.startTimer({ method: req.method });
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    end({ route, status_code: res.statusCode });
+  });
+
+  next();
+}
+
+module.exports = { httpMetrics };
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+function getMetricsToken() {
+  return process.env.METRICS_TOKEN || '';
+}
+
+// Hashing first gives timingSafeEqual equal-length inputs whatever was sent
+function tokenMatches(given, expected) {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+// Guards GET /metrics with "Authorization: Bearer <METRICS_TOKEN>" (Prometheus'
+// `authorization` scrape setting). Without METRICS_TOKEN the endpoint is off.
+// Mounted before `authenticate`, since the token is not a JWT.
+function requireMetricsToken(req, res, next) {
+  const expected = getMetricsToken();
+  if (!expected) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !tokenMatches(token, expected)) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).json({ error: 'Invalid or missing metrics token' });
+  }
+  next();
+}
+
+module.exports = { requireMetricsToken };
@@ -0,0 +1,55 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger, runWithLogContext } = require('../lib/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Callers (or a proxy in front of us) may pass their own ID; anything that
+// doesn't look like one is replaced rather than echoed into the logs
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Gives every request an ID: returned in the X-Request-Id header and on every
+// error body, and attached to every log line written while handling it.
+function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+
+  req.id = id;
+  res.set(REQUEST_ID_HEADER, id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      return json({ ...body, request_id: id });
+    }
+    return json(body);
+  };
+
+  runWithLogContext({ request_id: id }, next);
+}
+
+// One line per request once the response has been sent
+function accessLog(req, res, next) {
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const fields = {
+      request_id: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      duration_ms: Number((process.hrtime.bigint() - started) / 1000n) / 1000,
+      ...(req.user && { user_id: req.user.id }),
+    };
+    if (res.statusCode >= 500) {
+      logger.error('Request failed', fields);
+    } else if (res.statusCode >= 400) {
+      logger.warn('Request rejected', fields);
+    } else {
+      logger.info('Request completed', fields);
+    }
+  });
+
+  next();
+}
+
+module.exports = { requestId, accessLog, REQUEST_ID_HEADER };
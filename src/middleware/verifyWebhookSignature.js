@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { logger } = require('../lib/logger');
+
+// Header format: "t=<unix seconds>,v1=<hex hmac>[,v1=<hex hmac>...]"
+const SIGNATURE_HEADER = 'x-gotyolo-signature';
+
+function getSecrets() {
+  // Comma-separated so a new secret can be added before the old one is retired
+  return (process.env.PAYMENT_WEBHOOK_SECRETS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function getToleranceSeconds() {
+  return parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+}
+
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+function parseHeader(header) {
+  const parsed = { timestamp: null, signatures: [] };
+  for (const part of header.split(',')) {
+    const [key, value] = part.split('=').map(s => s && s.trim());
+    if (key === 't') parsed.timestamp = value;
+    if (key === 'v1' && value) parsed.signatures.push(value);
+  }
+  return parsed;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a, 'utf8');
+  const bufB = Buffer.from(b, 'utf8');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function reject(res, reason) {
+  logger.warn('Webhook rejected', { reason });
+  return res.status(401).json({ error: 'Invalid webhook signature' });
+}
+
+// Verifies the payment provider's HMAC signature over "<timestamp>.<raw body>".
+// Requires express.json() to be configured with a verify hook that stores req.rawBody.
+function verifyWebhookSignature(req, res, next) {
+  const secrets = getSecrets();
+  if (secrets.length === 0) {
+    logger.error('Webhook rejected: PAYMENT_WEBHOOK_SECRETS is not configured');
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  const header = req.get(SIGNATURE_HEADER);
+  if (!header) {
+    return reject(res, 'missing signature header');
+  }
+
+  const { timestamp, signatures } = parseHeader(header);
+  const timestampSeconds = parseInt(timestamp, 10);
+  if (!timestampSeconds || signatures.length === 0) {
+    return reject(res, 'malformed signature header');
+  }
+
+  const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - timestampSeconds);
+  if (ageSeconds > getToleranceSeconds()) {
+    return reject(res, `stale timestamp (${ageSeconds}s old)`);
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const valid = secrets.some(secret => {
+    const expected = computeSignature(secret, timestamp, rawBody);
+    return signatures.some(sig => safeEqual(sig, expected));
+  });
+
+  if (!valid) {
+    return reject(res, 'signature mismatch');
+  }
+
+  next();
+}
+
+module.exports = { verifyWebhookSignature, computeSignature, SIGNATURE_HEADER };
@@ -0,0 +1,14 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Development transport: prints each email to stdout.
+const ConsoleTransport = {
+  name: 'console',
+
+  async send({ to, subject, text }) {
+    const messageId = `console-${uuidv4()}`;
+    console.log(`[notify:console] To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    return { message_id: messageId };
+  },
+};
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,23 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Development transport: writes each email to NOTIFICATION_FILE_DIR (default ./tmp/mail)
+// as a .eml file, so rendered messages can be inspected without a mail server.
+const FileTransport = {
+  name: 'file',
+
+  async send({ to, subject, text }) {
+    const dir = process.env.NOTIFICATION_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    const messageId = `file-${uuidv4()}`;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId}.eml`),
+      `Message-ID: <${messageId}>\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`
+    );
+    return { message_id: messageId };
+  },
+};
+
+module.exports = FileTransport;
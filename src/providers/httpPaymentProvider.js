@@ -0,0 +1,41 @@
+// Talks to the payment provider's REST API.
+// Configured via PAYMENT_PROVIDER_URL and PAYMENT_PROVIDER_API_KEY.
+const HttpPaymentProvider = {
+  name: 'http',
+
+  async refund({ refund_id, booking_id, payment_reference, amount, currency }) {
+    const baseUrl = process.env.PAYMENT_PROVIDER_URL;
+    if (!baseUrl) {
+      throw new Error('PAYMENT_PROVIDER_URL is not configured');
+    }
+
+    const response = await fetch(`${baseUrl}/refunds`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.PAYMENT_PROVIDER_API_KEY || ''}`,
+        // The refund id is stable across retries, so the provider never refunds twice
+        'Idempotency-Key': refund_id,
+      },
+      body: JSON.stringify({
+        payment_reference,
+        amount,
+        currency,
+        metadata: { refund_id, booking_id },
+      }),
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`Provider responded ${response.status}: ${text.slice(0, 200)}`);
+    }
+
+    const body = await response.json();
+    return {
+      provider_reference: body.id,
+      status: body.status === 'succeeded' ? 'SUCCEEDED' : 'PENDING',
+    };
+  },
+};
+
+module.exports = HttpPaymentProvider;
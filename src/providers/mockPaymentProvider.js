@@ -0,0 +1,27 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../lib/logger').logger.child({ component: 'mock-provider' });
+
+// Local stand-in for the payment provider, used in development and tests.
+// MOCK_REFUND_OUTCOME controls what a refund call does:
+//   succeeded (default) — settles immediately
+//   pending             — accepted, settled later via POST /payments/refunds/webhook
+//   failed              — provider call throws, exercising the retry path
+const MockPaymentProvider = {
+  name: 'mock',
+
+  async refund({ refund_id, amount, currency }) {
+    const outcome = process.env.MOCK_REFUND_OUTCOME || 'succeeded';
+
+    if (outcome === 'failed') {
+      throw new Error(`Mock provider declined refund ${refund_id}`);
+    }
+
+    logger.info('Refund accepted', { refund_id, amount, currency, outcome });
+    return {
+      provider_reference: `MOCK-RF-${uuidv4()}`,
+      status: outcome === 'pending' ? 'PENDING' : 'SUCCEEDED',
+    };
+  },
+};
+
+module.exports = MockPaymentProvider;
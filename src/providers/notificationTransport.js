@@ -0,0 +1,31 @@
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+const SmtpTransport = require('./smtpTransport');
+
+// Transports share one shape:
+//   send({ to, subject, text }) → { message_id }, throws on failure
+const TRANSPORTS = {
+  console: ConsoleTransport,
+  file: FileTransport,
+  smtp: SmtpTransport,
+};
+
+let override = null;
+
+function getNotificationTransport() {
+  if (override) return override;
+
+  const name = process.env.NOTIFICATION_TRANSPORT || 'console';
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown NOTIFICATION_TRANSPORT "${name}"`);
+  }
+  return transport;
+}
+
+// Swap in a custom transport (e.g. from tests); pass null to restore the configured one
+function setNotificationTransport(transport) {
+  override = transport;
+}
+
+module.exports = { getNotificationTransport, setNotificationTransport };
@@ -0,0 +1,31 @@
+const MockPaymentProvider = require('./mockPaymentProvider');
+const HttpPaymentProvider = require('./httpPaymentProvider');
+
+// Adapters share one shape:
+//   refund({ refund_id, booking_id, payment_reference, amount, currency })
+//     amount is a decimal in the booking's currency (e.g. 12.50 EUR, 1500 JPY)
+//     → { provider_reference, status: 'PENDING' | 'SUCCEEDED' }, throws on failure
+const PROVIDERS = {
+  mock: MockPaymentProvider,
+  http: HttpPaymentProvider,
+};
+
+let override = null;
+
+function getPaymentProvider() {
+  if (override) return override;
+
+  const name = process.env.PAYMENT_PROVIDER || 'mock';
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+  }
+  return provider;
+}
+
+// Swap in a custom adapter (e.g. from tests); pass null to restore the configured one
+function setPaymentProvider(provider) {
+  override = provider;
+}
+
+module.exports = { getPaymentProvider, setPaymentProvider };
@@ -0,0 +1,38 @@
+const nodemailer = require('nodemailer');
+
+// Sends through an SMTP relay configured with SMTP_HOST, SMTP_PORT, SMTP_USER,
+// SMTP_PASSWORD and SMTP_SECURE. The From address is NOTIFICATION_FROM.
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+const SmtpTransport = {
+  name: 'smtp',
+
+  async send({ to, subject, text }) {
+    const info = await getTransporter().sendMail({
+      from: process.env.NOTIFICATION_FROM || 'GoTyolo <no-reply@gotyolo.example>',
+      to,
+      subject,
+      text,
+    });
+    return { message_id: info.messageId };
+  },
+};
+
+module.exports = SmtpTransport;
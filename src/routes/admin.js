@@ -2,7 +2,18 @@ const express = require('express');
 const router = express.Router();
 const TripService = require('../services/tripService');
 const BookingService = require('../services/bookingService');
-const { query } = require('../db/pool');
+const ExchangeRateService = require('../services/exchangeRateService');
+const adminBookingRoutes = require('./adminBookings');
+const adminReportRoutes = require('./adminReports');
+const ReportService = require('../services/reportService');
+const { SUPPORTED_CURRENCIES, isSupportedCurrency } = require('../lib/money');
+const { summarizeRevenue, occupancyPercent } = require('../lib/revenue');
+
+const DEFAULT_AT_RISK_DAYS = 7;
+const DEFAULT_AT_RISK_OCCUPANCY = 50;
+
+router.use('/bookings', adminBookingRoutes);
+router.use('/reports', adminReportRoutes);
 
 // GET /admin/trips/:tripId/metrics
 router.get('/trips/:tripId/metrics', async (req, res, next) => {
@@ -13,18 +24,14 @@ router.get('/trips/:tripId/metrics', async (req, res, next) => {
     }
 
     const stats = await BookingService.getTripBookingStats(trip.id);
+    const financial = summarizeRevenue(trip, await BookingService.getTripRevenueByRate(trip.id));
 
     const bookedSeats = parseInt(stats.booked_seats, 10) || 0;
-    const grossRevenue = parseFloat(stats.gross_revenue) || 0;
-    const refundsIssued = parseFloat(stats.refunds_issued) || 0;
-    const occupancyPercent = trip.max_capacity > 0
-      ? Math.round((bookedSeats / trip.max_capacity) * 100)
-      : 0;
 
     res.json({
       trip_id: trip.id,
       title: trip.title,
-      occupancy_percent: occupancyPercent,
+      occupancy_percent: occupancyPercent(bookedSeats, trip.max_capacity),
       total_seats: trip.max_capacity,
       booked_seats: bookedSeats,
       available_seats: trip.available_seats,
@@ -34,39 +41,63 @@ router.get('/trips/:tripId/metrics', async (req, res, next) => {
         cancelled: parseInt(stats.cancelled, 10) || 0,
         expired: parseInt(stats.expired, 10) || 0,
       },
-      financial: {
-        gross_revenue: grossRevenue,
-        refunds_issued: refundsIssued,
-        net_revenue: Math.round((grossRevenue - refundsIssued) * 100) / 100,
-      },
+      financial,
     });
   } catch (err) {
     next(err);
   }
 });
 
-// GET /admin/trips/at-risk
-// Returns trips departing within 7 days with occupancy < 50%
+// Departure window and threshold for at-risk trips: departing between from
+// (default now) and to (default `days` after from), below max_occupancy_percent.
+// Returns { options, errors }.
+function parseAtRiskQuery(q) {
+  const errors = [];
+
+  const parseInteger = (name, min, max, fallback) => {
+    if (q[name] === undefined || q[name] === '') return fallback;
+    const value = Number(q[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${name} must be an integer between ${min} and ${max}`);
+    }
+    return value;
+  };
+  const parseDate = (name) => {
+    if (q[name] === undefined || q[name] === '') return null;
+    const date = new Date(q[name]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${name} must be an ISO 8601 date`);
+    }
+    return date;
+  };
+
+  const days = parseInteger('days', 1, 365, DEFAULT_AT_RISK_DAYS);
+  const maxOccupancy = parseInteger('max_occupancy_percent', 1, 100, DEFAULT_AT_RISK_OCCUPANCY);
+  const from = parseDate('from') || new Date();
+  const to = parseDate('to') || new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+  if (errors.length === 0 && from > to) {
+    errors.push('from must not be after to');
+  }
+
+  return { options: { from, to, maxOccupancy }, errors };
+}
+
+// GET /admin/trips/at-risk?days=7&max_occupancy_percent=50&from=&to=
+// Published trips departing in the window with occupancy below the threshold
 router.get('/trips/at-risk', async (req, res, next) => {
   try {
-    const result = await query(
-      `SELECT t.id, t.title, t.start_date, t.max_capacity, t.available_seats,
-              COALESCE(SUM(b.num_seats) FILTER (WHERE b.state IN ('CONFIRMED','PENDING_PAYMENT')), 0) AS booked_seats
-       FROM trips t
-       LEFT JOIN bookings b ON b.trip_id = t.id
-       WHERE t.status = 'PUBLISHED'
-         AND t.start_date > NOW()
-         AND t.start_date <= NOW() + INTERVAL '7 days'
-       GROUP BY t.id
-       ORDER BY t.start_date ASC`
-    );
-
-    const atRiskTrips = result.rows
+    const { options, errors } = parseAtRiskQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+    const { from, to, maxOccupancy } = options;
+
+    const trips = await ReportService.listDeparting({ from, to });
+
+    const atRiskTrips = trips
       .map(row => {
         const booked = parseInt(row.booked_seats, 10) || 0;
-        const occupancy = row.max_capacity > 0
-          ? Math.round((booked / row.max_capacity) * 100)
-          : 0;
+        const occupancy = occupancyPercent(booked, row.max_capacity);
         return {
           trip_id: row.id,
           title: row.title,
@@ -78,9 +109,81 @@ router.get('/trips/at-risk', async (req, res, next) => {
           reason: 'Low occupancy with imminent departure',
         };
       })
-      .filter(t => t.occupancy_percent < 50);
+      .filter(t => t.occupancy_percent < maxOccupancy);
+
+    res.json({
+      from,
+      to,
+      max_occupancy_percent: maxOccupancy,
+      at_risk_trips: atRiskTrips,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Exchange rates used to price bookings in a currency other than the trip's.
+// rate = units of :quote per one :base. Changing a rate never affects existing
+// bookings: each one keeps the rate it was priced at.
+function validateCurrencyPair(params) {
+  const { base, quote } = params;
+  if (!isSupportedCurrency(base) || !isSupportedCurrency(quote)) {
+    return `Currencies must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`;
+  }
+  if (base === quote) {
+    return 'base and quote currencies must differ';
+  }
+  return null;
+}
+
+// GET /admin/exchange-rates
+router.get('/exchange-rates', async (req, res, next) => {
+  try {
+    const rates = await ExchangeRateService.list();
+    res.json({ exchange_rates: rates });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /admin/exchange-rates/:base/:quote  { "rate": 1.0842 }
+router.put('/exchange-rates/:base/:quote', async (req, res, next) => {
+  try {
+    const pairError = validateCurrencyPair(req.params);
+    if (pairError) {
+      return res.status(400).json({ error: pairError });
+    }
+
+    const rate = Number(req.body.rate);
+    if (req.body.rate === undefined || !Number.isFinite(rate) || rate <= 0 || rate >= 1e10) {
+      return res.status(400).json({ error: 'rate must be a positive number' });
+    }
 
-    res.json({ at_risk_trips: atRiskTrips });
+    const exchangeRate = await ExchangeRateService.upsert({
+      base_currency: req.params.base,
+      quote_currency: req.params.quote,
+      rate,
+      updated_by: req.user.id,
+    });
+    res.json({ exchange_rate: exchangeRate });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /admin/exchange-rates/:base/:quote
+router.delete('/exchange-rates/:base/:quote', async (req, res, next) => {
+  try {
+    const pairError = validateCurrencyPair(req.params);
+    if (pairError) {
+      return res.status(400).json({ error: pairError });
+    }
+
+    const removed = await ExchangeRateService.remove(req.params.base, req.params.quote);
+    if (!removed) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+    res.status(204).end();
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,409 @@
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const { getClient } = require('../db/pool');
+const TripService = require('../services/tripService');
+const BookingService = require('../services/bookingService');
+const BookingTransitionService = require('../services/bookingTransitionService');
+const BookingHistoryService = require('../services/bookingHistoryService');
+const PaymentSessionService = require('../services/paymentSessionService');
+const PricingService = require('../services/pricingService');
+const PriceHistoryService = require('../services/priceHistoryService');
+const RefundService = require('../services/refundService');
+const ExportService = require('../services/exportService');
+const { logger } = require('../lib/logger');
+const { decodeCursor } = require('../lib/cursor');
+const {
+  BOOKING_STATES, TRANSITION_ERRORS, checkTransition, rejectTransition,
+} = require('../lib/bookingStateMachine');
+const { toMinor } = require('../lib/money');
+const {
+  negotiateFormat, parseColumns, streamExport,
+} = require('../lib/export');
+
+// Support tooling for the exceptions customers can't handle themselves. Mounted
+// under /admin, so admin-only. Every change needs a reason, which goes into the
+// booking's audit trail with the admin as actor.
+
+const MAX_PAGE_SIZE = 100;
+const MAX_REASON_LENGTH = 500;
+
+function validateReason(reason) {
+  if (typeof reason !== 'string' || reason.trim() === '') {
+    return 'reason is required';
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    return `reason must be at most ${MAX_REASON_LENGTH} characters`;
+  }
+  return null;
+}
+
+function adminAudit(req, details = {}) {
+  return { actor: BookingHistoryService.actorFor(req.user), reason: req.body.reason.trim(), details };
+}
+
+// Turns GET /admin/bookings query params into BookingService.search filters.
+// Returns { filters, errors } — errors lists every malformed param.
+function parseBookingSearch(q) {
+  const filters = {};
+  const errors = [];
+
+  const parseUuid = (name) => {
+    if (q[name] === undefined || q[name] === '') return;
+    if (!isUuid(q[name])) {
+      errors.push(`${name} must be a UUID`);
+      return;
+    }
+    filters[name] = q[name];
+  };
+
+  const parseDate = (name) => {
+    if (q[name] === undefined || q[name] === '') return;
+    const date = new Date(q[name]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${name} must be an ISO 8601 date`);
+      return;
+    }
+    filters[name] = date;
+  };
+
+  if (q.state) {
+    filters.states = String(q.state).split(',').map(s => s.trim().toUpperCase());
+    if (filters.states.some(s => !BOOKING_STATES.includes(s))) {
+      errors.push(`state must be a comma-separated list of: ${BOOKING_STATES.join(', ')}`);
+    }
+  }
+  parseUuid('trip_id');
+  parseUuid('user_id');
+  if (q.payment_reference) {
+    filters.payment_reference = String(q.payment_reference);
+  }
+  parseDate('created_from');
+  parseDate('created_to');
+  parseDate('departs_from');
+  parseDate('departs_to');
+
+  if (filters.created_from && filters.created_to && filters.created_from > filters.created_to) {
+    errors.push('created_from must not be after created_to');
+  }
+  if (filters.departs_from && filters.departs_to && filters.departs_from > filters.departs_to) {
+    errors.push('departs_from must not be after departs_to');
+  }
+
+  if (q.limit !== undefined) {
+    const limit = Number(q.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    filters.limit = limit;
+  }
+
+  if (q.cursor) {
+    const cursor = decodeCursor(q.cursor);
+    if (!cursor || Number.isNaN(new Date(cursor.value).getTime()) || !isUuid(cursor.id)) {
+      errors.push('cursor is invalid');
+    }
+    filters.cursor = cursor;
+  }
+
+  return { filters, errors };
+}
+
+// GET /admin/bookings?state=&trip_id=&user_id=&payment_reference=&created_from=&created_to=&departs_from=&departs_to=
+router.get('/', async (req, res, next) => {
+  try {
+    const { filters, errors } = parseBookingSearch(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const { bookings, next_cursor } = await BookingService.search(filters);
+    res.json({ bookings, next_cursor });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /admin/bookings/export?format=csv|json&columns=&state=&trip_id=&user_id=&payment_reference=&created_from=&created_to=&departs_from=&departs_to=
+// Every matching booking, oldest first, streamed as CSV (default) or JSON.
+// The export is never paged, so limit and cursor are refused rather than ignored.
+router.get('/export', async (req, res, next) => {
+  try {
+    const { format, status: formatStatus, error: formatError } = negotiateFormat(req);
+    if (formatStatus === 406) {
+      return res.status(406).json({ error: formatError });
+    }
+
+    const { filters, errors } = parseBookingSearch(req.query);
+    for (const name of ['limit', 'cursor']) {
+      if (req.query[name] !== undefined) {
+        errors.push(`${name} is not supported on exports, which always return every matching booking`);
+      }
+    }
+    if (formatError) {
+      errors.push(formatError);
+    }
+    const { columns, error: columnsError } = parseColumns(req.query.columns, ExportService.BOOKING_EXPORT_COLUMNS);
+    if (columnsError) {
+      errors.push(columnsError);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const rows = await streamExport(
+      res,
+      { format, columns, filename: `bookings-${new Date().toISOString().slice(0, 10)}` },
+      onBatch => ExportService.streamBookings({ columns, filters }, onBatch)
+    );
+    logger.info('Bookings exported', { format, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /admin/bookings/:bookingId/transfers
+router.get('/:bookingId/transfers', async (req, res, next) => {
+  try {
+    const booking = await BookingService.getById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    const transfers = await BookingService.getTransfers(booking.id);
+    res.json({ booking_id: booking.id, transfers });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /admin/bookings/:bookingId/confirm  { "payment_reference": "...", "reason": "..." }
+// Confirms a pending booking paid outside the provider (e.g. bank transfer),
+// even once its hold has run out, as long as the expiry job hasn't expired it
+router.post('/:bookingId/confirm', async (req, res, next) => {
+  const { payment_reference: paymentReference } = req.body;
+
+  const reasonError = validateReason(req.body.reason);
+  if (reasonError) {
+    return res.status(400).json({ error: reasonError });
+  }
+  if (typeof paymentReference !== 'string' || paymentReference.trim() === '' || paymentReference.length > 255) {
+    return res.status(400).json({ error: 'payment_reference is required (at most 255 characters)' });
+  }
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const booking = await BookingService.getByIdForUpdate(client, req.params.bookingId);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const rejection = checkTransition(booking, 'confirm');
+    if (rejection) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejection);
+    }
+
+    // Paid elsewhere: a checkout still open must not take the money again
+    await PaymentSessionService.settle(client, booking.id, { state: 'SUPERSEDED' });
+    const confirmed = await BookingService.confirmBooking(
+      client, booking.id, paymentReference.trim(), adminAudit(req, { manual: true })
+    );
+    if (!confirmed) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejectTransition(
+        booking, 'confirm', TRANSITION_ERRORS.CONFLICT, 'Booking could not be confirmed'
+      ));
+    }
+
+    await client.query('COMMIT');
+    logger.info('Booking confirmed manually', { booking_id: booking.id, trip_id: booking.trip_id });
+
+    res.json({ booking: confirmed });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /admin/bookings/:bookingId/force-cancel  { "refund_amount": 120.5, "reason": "..." }
+// Cancels whatever the refund schedule says: refund_amount (in the booking
+// currency, up to what was paid) is refunded and the seats always go back
+router.post('/:bookingId/force-cancel', async (req, res, next) => {
+  const refundAmount = req.body.refund_amount;
+
+  const reasonError = validateReason(req.body.reason);
+  if (reasonError) {
+    return res.status(400).json({ error: reasonError });
+  }
+  if (typeof refundAmount !== 'number' || !Number.isFinite(refundAmount) || refundAmount < 0) {
+    return res.status(400).json({ error: 'refund_amount must be a number >= 0' });
+  }
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const booking = await BookingService.getByIdForUpdate(client, req.params.bookingId);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const rejection = checkTransition(booking, 'force_cancel');
+    if (rejection) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejection);
+    }
+
+    // Only confirmed bookings were paid for, and never more than was paid comes back
+    const paid = booking.state === 'CONFIRMED' ? parseFloat(booking.price_at_booking) : 0;
+    if (toMinor(refundAmount, booking.currency) > toMinor(paid, booking.currency)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: `refund_amount must not exceed the amount paid (${paid} ${booking.currency})`,
+      });
+    }
+
+    const cancellation = await BookingTransitionService.forceCancel(client, booking, {
+      audit: adminAudit(req, { forced: true }),
+      refundAmount,
+      refundReason: req.body.reason.trim(),
+      seatReason: 'force_cancelled',
+    });
+    if (!cancellation) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejectTransition(
+        booking, 'force_cancel', TRANSITION_ERRORS.CONFLICT, 'Booking could not be cancelled'
+      ));
+    }
+    const { booking: cancelled, refund, quote } = cancellation;
+
+    await client.query('COMMIT');
+    logger.info('Booking force-cancelled', {
+      booking_id: booking.id, trip_id: booking.trip_id, refund_amount: quote.amount,
+      seats_released: cancellation.seats_released,
+    });
+
+    if (refund) {
+      RefundService.process(refund.id).catch(err => {
+        logger.error('Initial refund attempt errored', {
+          refund_id: refund.id, booking_id: refund.booking_id, err,
+        });
+      });
+    }
+
+    res.json({
+      booking: cancelled,
+      refund: {
+        id: refund ? refund.id : null,
+        state: refund ? refund.state : null,
+        ...quote,
+      },
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /admin/bookings/:bookingId/transfer  { "trip_id": "...", "reason": "..." }
+// Moves the booking and its seats to another published trip. The booking keeps
+// what the customer was charged; the difference to the new trip's current
+// price is recorded for support to collect or give back.
+router.post('/:bookingId/transfer', async (req, res, next) => {
+  const { trip_id: toTripId } = req.body;
+
+  const reasonError = validateReason(req.body.reason);
+  if (reasonError) {
+    return res.status(400).json({ error: reasonError });
+  }
+  if (!isUuid(toTripId)) {
+    return res.status(400).json({ error: 'trip_id must be a UUID' });
+  }
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const booking = await BookingService.getByIdForUpdate(client, req.params.bookingId);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const rejection = checkTransition(booking, 'transfer');
+    if (rejection) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejection);
+    }
+    if (toTripId === booking.trip_id) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Booking is already on this trip' });
+    }
+
+    // Both trips' seat counts change: lock them in a fixed order so two
+    // transfers in opposite directions can't deadlock
+    const trips = {};
+    for (const tripId of [booking.trip_id, toTripId].sort()) {
+      trips[tripId] = await TripService.getByIdForUpdate(client, tripId);
+    }
+    const toTrip = trips[toTripId];
+    if (!toTrip) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    if (toTrip.status !== 'PUBLISHED' || new Date(toTrip.start_date) <= new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Trip is not available for booking' });
+    }
+    if (toTrip.available_seats < booking.num_seats) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Not enough seats available on the trip',
+        available_seats: toTrip.available_seats,
+      });
+    }
+
+    const quote = await PricingService.quote(toTrip, booking.num_seats, booking.currency);
+    if (!quote) {
+      await client.query('ROLLBACK');
+      return res.status(422).json({ error: `No exchange rate from ${toTrip.currency} to ${booking.currency}` });
+    }
+
+    const transferred = await BookingTransitionService.transfer(client, booking, {
+      toTrip,
+      quote,
+      audit: adminAudit(req),
+      createdBy: req.user.id,
+    });
+    if (!transferred) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejectTransition(
+        booking, 'transfer', TRANSITION_ERRORS.CONFLICT, 'Booking could not be transferred'
+      ));
+    }
+    await PriceHistoryService.record(client, quote, booking.id);
+
+    await client.query('COMMIT');
+    logger.info('Booking transferred', {
+      booking_id: booking.id, from_trip_id: booking.trip_id, to_trip_id: toTrip.id,
+      price_difference: transferred.transfer.price_difference,
+    });
+
+    res.json({ booking: transferred.booking, transfer: transferred.transfer });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const ReportService = require('../services/reportService');
+const ExchangeRateService = require('../services/exchangeRateService');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY, isSupportedCurrency } = require('../lib/money');
+const { REPORT_GROUPS, buildRevenueReport, conversionRates } = require('../lib/revenue');
+
+// Cross-trip reports for finance. Mounted under /admin, so admin-only.
+
+// Query params shared by the reports: from/to (ISO 8601) and group_by.
+// Returns { range, groupBy, errors }.
+function parseReportQuery(q, { defaultGroup = null } = {}) {
+  const errors = [];
+  const range = {};
+
+  for (const name of ['from', 'to']) {
+    if (q[name] === undefined || q[name] === '') continue;
+    const date = new Date(q[name]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${name} must be an ISO 8601 date`);
+      continue;
+    }
+    range[name] = date;
+  }
+  if (range.from && range.to && range.from > range.to) {
+    errors.push('from must not be after to');
+  }
+
+  const groupBy = q.group_by || defaultGroup;
+  if (groupBy !== null && !REPORT_GROUPS.includes(groupBy)) {
+    errors.push(`group_by must be one of: ${REPORT_GROUPS.join(', ')}`);
+  }
+
+  return { range, groupBy, errors };
+}
+
+// GET /admin/reports/revenue?group_by=destination|month|trip&from=&to=&currency=EUR
+// Revenue, refunds, net revenue and occupancy of trips departing in the range.
+// Amounts are in `currency`: each trip's totals (at the rates locked on its
+// bookings) are converted at the current rate from the trip's currency.
+router.get('/revenue', async (req, res, next) => {
+  try {
+    const { range, groupBy, errors } = parseReportQuery(req.query, { defaultGroup: 'destination' });
+    const currency = req.query.currency || DEFAULT_CURRENCY;
+    if (!isSupportedCurrency(currency)) {
+      errors.push(`currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const trips = await ReportService.tripRevenue(range);
+
+    const rates = {};
+    for (const tripCurrency of new Set(trips.map(({ trip }) => trip.currency))) {
+      rates[tripCurrency] = await ExchangeRateService.getRate(tripCurrency, currency);
+      if (rates[tripCurrency] === null) {
+        return res.status(422).json({ error: `No exchange rate from ${tripCurrency} to ${currency}` });
+      }
+    }
+
+    res.json({
+      group_by: groupBy,
+      from: range.from || null,
+      to: range.to || null,
+      ...buildRevenueReport({ trips, groupBy, currency, rates }),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /admin/reports/conversion?group_by=&from=&to=
+// What became of the bookings created in the range: confirmed (ever paid for),
+// expired, cancelled before payment or still pending, overall and, with
+// group_by, per destination, month of departure or trip
+router.get('/conversion', async (req, res, next) => {
+  try {
+    const { range, groupBy, errors } = parseReportQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const groups = await ReportService.bookingConversion(range, groupBy);
+    const totals = { created: 0, confirmed: 0, expired: 0, cancelled_unpaid: 0, pending_payment: 0 };
+    for (const group of groups) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += group[key];
+      }
+    }
+
+    res.json({
+      group_by: groupBy,
+      from: range.from || null,
+      to: range.to || null,
+      ...(groupBy && {
+        groups: groups.map(group => ({ ...group, ...conversionRates(group) })),
+      }),
+      totals: { ...totals, ...conversionRates(totals) },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
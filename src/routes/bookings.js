@@ -1,8 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const { getClient } = require('../db/pool');
-const TripService = require('../services/tripService');
 const BookingService = require('../services/bookingService');
+const NotificationService = require('../services/notificationService');
+const RefundService = require('../services/refundService');
+const BookingTransitionService = require('../services/bookingTransitionService');
+const PaymentSessionService = require('../services/paymentSessionService');
+const BookingHistoryService = require('../services/bookingHistoryService');
+const { logger } = require('../lib/logger');
+const { requireAuth } = require('../middleware/auth');
+const { TRANSITION_ERRORS, checkTransition, rejectTransition } = require('../lib/bookingStateMachine');
+
+// Travelers only see their own bookings; operators and admins see all of them
+function canViewBooking(user, booking) {
+  return booking.user_id === user.id || user.role === 'operator' || user.role === 'admin';
+}
+
+function canCancelBooking(user, booking) {
+  return booking.user_id === user.id || user.role === 'admin';
+}
+
+// Paying for, or holding, a booking is up to whoever made it
+function canPayBooking(user, booking) {
+  return booking.user_id === user.id || user.role === 'admin';
+}
+
+function getMaxPaymentSessions() {
+  return parseInt(process.env.PAYMENT_MAX_SESSIONS, 10) || 5;
+}
+
+function getHoldExtensionMinutes() {
+  return parseInt(process.env.HOLD_EXTENSION_MINUTES, 10) || 10;
+}
+
+function getMaxHoldExtensions() {
+  const value = parseInt(process.env.HOLD_MAX_EXTENSIONS, 10);
+  return Number.isNaN(value) ? 1 : value;
+}
+
+router.use(requireAuth);
 
 router.get('/:bookingId', async (req, res, next) => {
   try {
@@ -10,13 +46,121 @@ router.get('/:bookingId', async (req, res, next) => {
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
+    if (!canViewBooking(req.user, booking)) {
+      return res.status(403).json({ error: 'Not allowed to view this booking' });
+    }
     res.json({ booking });
   } catch (err) {
     next(err);
   }
 });
 
-router.post('/:bookingId/cancel', async (req, res, next) => {
+router.get('/:bookingId/refunds', async (req, res, next) => {
+  try {
+    const booking = await BookingService.getById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (!canViewBooking(req.user, booking)) {
+      return res.status(403).json({ error: 'Not allowed to view this booking' });
+    }
+    const refunds = await RefundService.getByBookingId(booking.id);
+    res.json({ booking_id: booking.id, refunds });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /bookings/:bookingId/refund-quote
+// Previews the cancellation refund without changing anything
+router.get('/:bookingId/refund-quote', async (req, res, next) => {
+  try {
+    const booking = await BookingService.getById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (!canViewBooking(req.user, booking)) {
+      return res.status(403).json({ error: 'Not allowed to view this booking' });
+    }
+    const rejection = checkTransition(booking, 'cancel');
+    if (rejection) {
+      return res.status(409).json(rejection);
+    }
+
+    res.json({
+      booking_id: booking.id,
+      price_at_booking: parseFloat(booking.price_at_booking),
+      currency: booking.currency,
+      refund: BookingTransitionService.quoteCancellation(booking),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:bookingId/seat-adjustments', async (req, res, next) => {
+  try {
+    const booking = await BookingService.getById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (!canViewBooking(req.user, booking)) {
+      return res.status(403).json({ error: 'Not allowed to view this booking' });
+    }
+    const adjustments = await BookingService.getSeatAdjustments(booking.id);
+    res.json({ booking_id: booking.id, seat_adjustments: adjustments });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /bookings/:bookingId/notifications
+// Emails sent (or attempted) to the customer for this booking
+router.get('/:bookingId/notifications', async (req, res, next) => {
+  try {
+    const booking = await BookingService.getById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (!canViewBooking(req.user, booking)) {
+      return res.status(403).json({ error: 'Not allowed to view this booking' });
+    }
+    const notifications = await NotificationService.listForBooking(booking.id);
+    res.json({ booking_id: booking.id, notifications });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /bookings/:bookingId/history
+// Audit trail: every change to the booking, oldest first, with who made it
+router.get('/:bookingId/history', async (req, res, next) => {
+  try {
+    const booking = await BookingService.getById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (!canViewBooking(req.user, booking)) {
+      return res.status(403).json({ error: 'Not allowed to view this booking' });
+    }
+    const transitions = await BookingHistoryService.listForBooking(booking.id);
+    res.json({ booking_id: booking.id, state: booking.state, transitions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /bookings/:bookingId/partial-cancel
+// Gives back some of a booking's seats. The released seats' share of the price
+// is refunded under the trip's refund schedule, exactly as a full cancellation
+// would refund it. To give back every seat, use /cancel.
+router.post('/:bookingId/partial-cancel', async (req, res, next) => {
+  const { num_seats: seatsToRelease, reason } = req.body;
+
+  if (!Number.isInteger(seatsToRelease) || seatsToRelease < 1) {
+    return res.status(400).json({ error: 'num_seats must be an integer of at least 1' });
+  }
+
   const client = await getClient();
   try {
     await client.query('BEGIN');
@@ -28,55 +172,235 @@ router.post('/:bookingId/cancel', async (req, res, next) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (booking.state === 'CANCELLED' || booking.state === 'EXPIRED') {
+    if (!canCancelBooking(req.user, booking)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Not allowed to cancel this booking' });
+    }
+
+    const rejection = checkTransition(booking, 'release_seats');
+    if (rejection) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejection);
+    }
+
+    if (seatsToRelease >= booking.num_seats) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: 'num_seats must be less than the booked seats; use /cancel to cancel the whole booking',
+        booked_seats: booking.num_seats,
+      });
+    }
+
+    const released = await BookingTransitionService.releaseSeats(client, booking, seatsToRelease, {
+      audit: { actor: BookingHistoryService.actorFor(req.user) },
+      reason,
+      createdBy: req.user.id,
+    });
+    if (!released) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejectTransition(
+        booking, 'release_seats', TRANSITION_ERRORS.CONFLICT, 'Seats could not be released from this booking'
+      ));
+    }
+    const { refund, quote } = released;
+
+    await client.query('COMMIT');
+
+    if (refund) {
+      RefundService.process(refund.id).catch(err => {
+        logger.error('Initial refund attempt errored', {
+          refund_id: refund.id, booking_id: refund.booking_id, err,
+        });
+      });
+    }
+
+    res.json({
+      booking: released.booking,
+      seat_adjustment: released.adjustment,
+      seats_returned_to_trip: released.seats_released > 0,
+      refund: {
+        id: refund ? refund.id : null,
+        state: refund ? refund.state : null,
+        ...quote,
+      },
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /bookings/:bookingId/payment-session
+// New checkout (payment URL and idempotency key) for a booking still within its
+// hold, e.g. after a declined card. Supersedes the previous session.
+router.post('/:bookingId/payment-session', async (req, res, next) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const booking = await BookingService.getByIdForUpdate(client, req.params.bookingId);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (!canPayBooking(req.user, booking)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Not allowed to pay for this booking' });
+    }
+    const rejection = checkTransition(booking, 'open_payment_session');
+    if (rejection) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejection);
+    }
+
+    const maxSessions = getMaxPaymentSessions();
+    if (await PaymentSessionService.countForBooking(client, booking.id) >= maxSessions) {
       await client.query('ROLLBACK');
-      return res.status(409).json({
-        error: `Cannot cancel a booking that is already ${booking.state}`,
+      return res.status(429).json({
+        error: `No more than ${maxSessions} payment sessions per booking`,
       });
     }
 
-    if (booking.state !== 'PENDING_PAYMENT' && booking.state !== 'CONFIRMED') {
+    const session = await PaymentSessionService.open(client, booking.id);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      booking_id: booking.id,
+      payment_session: session,
+      payment_url: PaymentSessionService.paymentUrl(booking, session),
+      expires_at: booking.expires_at,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /bookings/:bookingId/extend-hold
+// Pushes a PENDING_PAYMENT booking's deadline back by HOLD_EXTENSION_MINUTES,
+// at most HOLD_MAX_EXTENSIONS times and never past the trip's start
+router.post('/:bookingId/extend-hold', async (req, res, next) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const booking = await BookingService.getByIdForUpdate(client, req.params.bookingId);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (!canPayBooking(req.user, booking)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Not allowed to extend this booking' });
+    }
+    const rejection = checkTransition(booking, 'extend_hold');
+    if (rejection) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejection);
+    }
+
+    const maxExtensions = getMaxHoldExtensions();
+    if (booking.hold_extensions >= maxExtensions) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejectTransition(
+        booking, 'extend_hold', TRANSITION_ERRORS.HOLD_EXTENSION_LIMIT,
+        `Hold can be extended at most ${maxExtensions} time(s)`,
+        { expires_at: booking.expires_at }
+      ));
+    }
+
+    const tripStart = new Date(booking.trip_start_date);
+    const requested = new Date(new Date(booking.expires_at).getTime() + getHoldExtensionMinutes() * 60 * 1000);
+    const expiresAt = requested < tripStart ? requested : tripStart;
+    if (expiresAt <= new Date(booking.expires_at)) {
       await client.query('ROLLBACK');
-      return res.status(409).json({ error: `Cannot cancel booking in state ${booking.state}` });
+      return res.status(409).json(rejectTransition(
+        booking, 'extend_hold', TRANSITION_ERRORS.HOLD_PAST_TRIP_START,
+        'Hold cannot be extended past the trip start',
+        { expires_at: booking.expires_at }
+      ));
     }
 
-    const tripStartDate = new Date(booking.trip_start_date);
-    const now = new Date();
-    const msPerDay = 24 * 60 * 60 * 1000;
-    const daysUntilTrip = Math.floor((tripStartDate - now) / msPerDay);
+    const extended = await BookingService.extendHold(client, booking.id, expiresAt, {
+      actor: BookingHistoryService.actorFor(req.user),
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      booking: extended,
+      extensions_remaining: maxExtensions - extended.hold_extensions,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+router.post('/:bookingId/cancel', async (req, res, next) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const booking = await BookingService.getByIdForUpdate(client, req.params.bookingId);
 
-    let refundAmount = 0;
-    const isBeforeCutoff = daysUntilTrip > booking.refundable_until_days_before;
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Booking not found' });
+    }
 
-    if (isBeforeCutoff) {
-      // Before cutoff: refund with cancellation fee deducted
-      const feePercent = booking.cancellation_fee_percent || 0;
-      refundAmount = parseFloat(booking.price_at_booking) * (1 - feePercent / 100);
-      refundAmount = Math.round(refundAmount * 100) / 100;
+    if (!canCancelBooking(req.user, booking)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Not allowed to cancel this booking' });
     }
-    // After cutoff: refundAmount stays 0
 
-    const cancelled = await BookingService.cancelBooking(client, booking.id, refundAmount);
-    if (!cancelled) {
+    const rejection = checkTransition(booking, 'cancel');
+    if (rejection) {
       await client.query('ROLLBACK');
-      return res.status(409).json({ error: 'Booking could not be cancelled' });
+      return res.status(409).json(rejection);
     }
 
-    // Only release seats if before cutoff; after cutoff trip is imminent, seats stay reserved
-    if (isBeforeCutoff) {
-      await TripService.incrementSeats(client, booking.trip_id, booking.num_seats);
+    const cancellation = await BookingTransitionService.cancel(client, booking, {
+      audit: { actor: BookingHistoryService.actorFor(req.user), reason: 'cancellation' },
+      refundReason: 'Customer cancellation',
+      seatReason: 'cancellation',
+    });
+    if (!cancellation) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(rejectTransition(
+        booking, 'cancel', TRANSITION_ERRORS.CONFLICT, 'Booking could not be cancelled'
+      ));
     }
+    const { booking: cancelled, refund, quote } = cancellation;
 
     await client.query('COMMIT');
+    logger.info('Booking cancelled', {
+      booking_id: booking.id, trip_id: booking.trip_id, refund_amount: quote.amount,
+      seats_released: cancellation.seats_released,
+    });
+
+    // First attempt right away; the refund job retries if this fails
+    if (refund) {
+      RefundService.process(refund.id).catch(err => {
+        logger.error('Initial refund attempt errored', {
+          refund_id: refund.id, booking_id: refund.booking_id, err,
+        });
+      });
+    }
 
     res.json({
       booking: cancelled,
       refund: {
-        amount: refundAmount,
-        is_refundable: isBeforeCutoff,
-        days_until_trip: daysUntilTrip,
-        cutoff_days: booking.refundable_until_days_before,
-        cancellation_fee_percent: booking.cancellation_fee_percent,
+        id: refund ? refund.id : null,
+        state: refund ? refund.state : null,
+        ...quote,
       },
     });
   } catch (err) {
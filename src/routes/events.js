@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const EventService = require('../services/eventService');
+const { requireRole } = require('../middleware/auth');
+
+const MAX_PAGE_SIZE = 500;
+
+router.use(requireRole('admin'));
+
+// GET /events?after=<id>&limit=&type=
+// Change feed for downstream systems. Consumers keep the last id they saw and
+// pass it back as `after`; events are returned only once their transaction has
+// committed, in writing-transaction order. Ids are unique but not increasing
+// across pages, so `after` is a position, not a minimum id.
+router.get('/', async (req, res, next) => {
+  try {
+    const after = req.query.after === undefined ? 0 : Number(req.query.after);
+    if (!Number.isInteger(after) || after < 0) {
+      return res.status(400).json({ error: 'after must be a non-negative integer event id' });
+    }
+
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    const types = req.query.type
+      ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean)
+      : null;
+
+    const events = await EventService.listAfter(after, { limit, types });
+    const last = events[events.length - 1];
+
+    res.json({
+      events,
+      // Pass back as ?after= to continue; unchanged when there is nothing new
+      next_after: last ? parseInt(last.id, 10) : after,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
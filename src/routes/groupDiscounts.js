@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const GroupDiscountService = require('../services/groupDiscountService');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole('operator', 'admin'));
+
+router.get('/', async (req, res, next) => {
+  try {
+    const rules = await GroupDiscountService.list();
+    res.json({ group_discounts: rules });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /group-discounts  { min_seats, percent_off, trip_id? }
+// Without trip_id the rule applies to every trip
+router.post('/', async (req, res, next) => {
+  try {
+    const { min_seats, percent_off, trip_id = null } = req.body;
+
+    if (!Number.isInteger(min_seats) || min_seats < 2) {
+      return res.status(400).json({ error: 'min_seats must be an integer of at least 2' });
+    }
+    if (!Number.isInteger(percent_off) || percent_off < 1 || percent_off > 100) {
+      return res.status(400).json({ error: 'percent_off must be an integer between 1 and 100' });
+    }
+    if (trip_id !== null && !isUuid(trip_id)) {
+      return res.status(400).json({ error: 'trip_id must be a UUID' });
+    }
+
+    const rule = await GroupDiscountService.create({ trip_id, min_seats, percent_off });
+    res.status(201).json({ group_discount: rule });
+  } catch (err) {
+    if (err.code === '23503' && err.constraint === 'group_discounts_trip_id_fkey') {
+      return res.status(400).json({ error: 'trip_id does not exist' });
+    }
+    next(err);
+  }
+});
+
+// PATCH /group-discounts/:ruleId  { active }
+// Rules are switched off rather than edited, so past bookings' breakdowns keep
+// pointing at the rule that priced them.
+router.patch('/:ruleId', async (req, res, next) => {
+  try {
+    if (typeof req.body.active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be a boolean' });
+    }
+    const rule = isUuid(req.params.ruleId)
+      ? await GroupDiscountService.setActive(req.params.ruleId, req.body.active)
+      : null;
+    if (!rule) {
+      return res.status(404).json({ error: 'Group discount not found' });
+    }
+    res.json({ group_discount: rule });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
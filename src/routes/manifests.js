@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const TripService = require('../services/tripService');
+const ExportService = require('../services/exportService');
+const { logger } = require('../lib/logger');
+const { BOOKING_STATES } = require('../lib/bookingStateMachine');
+const {
+  negotiateFormat, parseColumns, streamExport,
+} = require('../lib/export');
+
+// Mounted at /admin/trips for operators as well as admins: operators need the
+// passenger list before departure.
+
+// GET /admin/trips/:tripId/manifest?format=csv|json&columns=&state=CONFIRMED
+// The trip's passengers (confirmed bookings unless `state` says otherwise),
+// in booking order, streamed as CSV (default) or JSON
+router.get('/:tripId/manifest', async (req, res, next) => {
+  try {
+    if (!isUuid(req.params.tripId)) {
+      return res.status(400).json({ error: 'tripId must be a UUID' });
+    }
+
+    const { format, status: formatStatus, error: formatError } = negotiateFormat(req);
+    if (formatStatus === 406) {
+      return res.status(406).json({ error: formatError });
+    }
+    const errors = formatError ? [formatError] : [];
+    const { columns, error: columnsError } = parseColumns(req.query.columns, ExportService.MANIFEST_COLUMNS);
+    if (columnsError) {
+      errors.push(columnsError);
+    }
+    const states = req.query.state
+      ? String(req.query.state).split(',').map(s => s.trim().toUpperCase())
+      : ['CONFIRMED'];
+    if (states.some(s => !BOOKING_STATES.includes(s))) {
+      errors.push(`state must be a comma-separated list of: ${BOOKING_STATES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const trip = await TripService.getById(req.params.tripId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const rows = await streamExport(
+      res,
+      { format, columns, filename: `manifest-${trip.id}` },
+      onBatch => ExportService.streamManifest(trip.id, { columns, states }, onBatch)
+    );
+    logger.info('Trip manifest exported', { trip_id: trip.id, format, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
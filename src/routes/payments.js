@@ -2,16 +2,38 @@ const express = require('express');
 const router = express.Router();
 const { getClient } = require('../db/pool');
 const BookingService = require('../services/bookingService');
-const TripService = require('../services/tripService');
+const PaymentEventService = require('../services/paymentEventService');
+const RefundService = require('../services/refundService');
+const PaymentSessionService = require('../services/paymentSessionService');
+const BookingHistoryService = require('../services/bookingHistoryService');
+const BookingTransitionService = require('../services/bookingTransitionService');
+const { verifyWebhookSignature } = require('../middleware/verifyWebhookSignature');
+const { logger } = require('../lib/logger');
+const { paymentWebhooks } = require('../lib/metrics');
+const { canTransition } = require('../lib/bookingStateMachine');
 
-router.post('/webhook', async (req, res) => {
-  const { booking_id, status, idempotency_key, payment_reference } = req.body;
+const { WEBHOOK_ACTOR } = BookingHistoryService;
+
+function getMaxPaymentAttempts() {
+  return parseInt(process.env.PAYMENT_MAX_ATTEMPTS, 10) || 3;
+}
+
+router.post('/webhook', verifyWebhookSignature, async (req, res) => {
+  const {
+    booking_id, status, idempotency_key, payment_reference,
+    payment_session_id = null, failure_reason = null,
+  } = req.body;
 
   if (!booking_id || !status || !idempotency_key) {
-    console.log('Webhook received with missing fields, acknowledging anyway');
+    logger.warn('Payment webhook missing fields, acknowledging anyway', { booking_id, status });
+    paymentWebhooks.inc({ outcome: 'unknown' });
     return res.status(200).json({ received: true });
   }
 
+  const log = logger.child({ booking_id, payment_event_id: idempotency_key, payment_status: status });
+  // Which provider event made a change, for the booking's audit trail
+  const webhookDetails = { payment_event_id: idempotency_key, payment_session_id };
+
   const client = await getClient();
   try {
     await client.query('BEGIN');
@@ -20,52 +42,182 @@ router.post('/webhook', async (req, res) => {
 
     if (!booking) {
       await client.query('ROLLBACK');
-      console.log(`Webhook for unknown booking ${booking_id}, ignoring`);
+      log.warn('Payment webhook for unknown booking, ignoring');
+      paymentWebhooks.inc({ outcome: 'unknown' });
       return res.status(200).json({ received: true });
     }
 
-    // Idempotency check: if this booking is already past PENDING_PAYMENT,
-    // the webhook was already processed (or booking expired)
-    if (booking.state !== 'PENDING_PAYMENT') {
+    // Replay protection: the provider's idempotency_key identifies the event.
+    // Recorded in the same transaction, so a rollback leaves it retryable.
+    const firstDelivery = await PaymentEventService.recordProcessed(client, {
+      event_id: idempotency_key,
+      booking_id,
+      status,
+    });
+    if (!firstDelivery) {
+      await client.query('ROLLBACK');
+      log.info('Replayed payment webhook event, ignoring');
+      paymentWebhooks.inc({ outcome: 'duplicate' });
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    // Idempotency check: if this booking can no longer be confirmed, the
+    // webhook was already processed (or booking expired)
+    if (!canTransition(booking.state, 'confirm')) {
       await client.query('ROLLBACK');
-      console.log(`Duplicate webhook for booking ${booking_id}, state=${booking.state}`);
+      log.info('Duplicate payment webhook', { trip_id: booking.trip_id, state: booking.state });
+      paymentWebhooks.inc({ outcome: 'duplicate' });
       return res.status(200).json({ received: true, duplicate: true });
     }
 
     // Check if expires_at has passed — treat as expired even if webhook arrives late
     if (new Date(booking.expires_at) < new Date()) {
-      const expired = await BookingService.expireBooking(client, booking_id);
-      if (expired) {
-        await TripService.incrementSeats(client, booking.trip_id, booking.num_seats);
-      }
+      await BookingTransitionService.expire(client, booking, {
+        audit: { actor: WEBHOOK_ACTOR, reason: 'late_payment', details: webhookDetails },
+        seatReason: 'late_payment',
+      });
       await client.query('COMMIT');
-      console.log(`Webhook arrived too late for booking ${booking_id}, already expired`);
+      log.info('Payment webhook arrived after hold expired, booking expired', { trip_id: booking.trip_id });
+      paymentWebhooks.inc({ outcome: 'late' });
       return res.status(200).json({ received: true, expired: true });
     }
 
     if (status === 'success') {
-      await BookingService.confirmBooking(client, booking_id, payment_reference || idempotency_key);
+      await PaymentSessionService.settle(client, booking_id, {
+        sessionId: payment_session_id, state: 'SUCCEEDED',
+      });
+      await BookingService.confirmBooking(client, booking_id, payment_reference || idempotency_key, {
+        actor: WEBHOOK_ACTOR, details: webhookDetails,
+      });
       await client.query('COMMIT');
-      console.log(`Booking ${booking_id} confirmed via webhook`);
+      log.info('Booking confirmed via payment webhook', { trip_id: booking.trip_id });
+      paymentWebhooks.inc({ outcome: 'confirmed' });
       return res.status(200).json({ received: true, booking_state: 'CONFIRMED' });
     }
 
     if (status === 'failed') {
-      await BookingService.expireBooking(client, booking_id);
-      await TripService.incrementSeats(client, booking.trip_id, booking.num_seats);
+      const reason = failure_reason || 'Payment declined';
+      await PaymentSessionService.settle(client, booking_id, {
+        sessionId: payment_session_id, state: 'FAILED', failureReason: reason,
+      });
+
+      const updated = await BookingService.recordPaymentFailure(client, booking_id, reason, {
+        actor: WEBHOOK_ACTOR, details: webhookDetails,
+      });
+
+      // Within the hold the customer may retry with a new payment session;
+      // once the attempts are used up the seats go back as before
+      if (updated.failed_payment_attempts < getMaxPaymentAttempts()) {
+        await client.query('COMMIT');
+        log.info('Payment failed, booking still retryable', {
+          trip_id: booking.trip_id,
+          failed_payment_attempts: updated.failed_payment_attempts,
+          expires_at: updated.expires_at,
+        });
+        paymentWebhooks.inc({ outcome: 'failed' });
+        return res.status(200).json({
+          received: true,
+          booking_state: 'PENDING_PAYMENT',
+          retryable: true,
+          expires_at: updated.expires_at,
+        });
+      }
+
+      await BookingTransitionService.expire(client, updated, {
+        audit: { actor: WEBHOOK_ACTOR, reason: 'payment_failed', details: webhookDetails },
+        seatReason: 'payment_failed',
+      });
       await client.query('COMMIT');
-      console.log(`Booking ${booking_id} payment failed, seats released`);
-      return res.status(200).json({ received: true, booking_state: 'EXPIRED' });
+      log.info('Payment failed with no attempts left, booking expired', {
+        trip_id: booking.trip_id, seats_released: booking.num_seats,
+      });
+      paymentWebhooks.inc({ outcome: 'failed' });
+      return res.status(200).json({ received: true, booking_state: 'EXPIRED', retryable: false });
     }
 
     // Unknown status — just acknowledge
     await client.query('ROLLBACK');
-    console.log(`Webhook with unknown status "${status}" for booking ${booking_id}`);
+    log.warn('Payment webhook with unknown status');
+    paymentWebhooks.inc({ outcome: 'unknown' });
     return res.status(200).json({ received: true });
 
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error('Webhook processing error:', err.message);
+    log.error('Payment webhook processing error', { err });
+    paymentWebhooks.inc({ outcome: 'error' });
+    return res.status(200).json({ received: true });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /payments/refunds/webhook
+// Settles refunds the provider accepted asynchronously. Each event's
+// idempotency_key is recorded, so a replayed event can't settle a later attempt
+// of the same refund; otherwise only PROCESSING refunds change state.
+router.post('/refunds/webhook', verifyWebhookSignature, async (req, res) => {
+  const {
+    refund_id, status, idempotency_key, provider_reference, failure_reason,
+  } = req.body;
+
+  if (!refund_id || !status || !idempotency_key) {
+    logger.warn('Refund webhook missing fields, acknowledging anyway', { refund_id, status });
+    return res.status(200).json({ received: true });
+  }
+
+  const log = logger.child({ refund_id, refund_event_id: idempotency_key, refund_status: status });
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const refund = await RefundService.getByIdForUpdate(client, refund_id);
+    if (!refund) {
+      await client.query('ROLLBACK');
+      log.warn('Refund webhook for unknown refund, ignoring');
+      return res.status(200).json({ received: true });
+    }
+
+    // Replay protection, as for payment webhooks: recorded in the same
+    // transaction, so a rollback leaves the event retryable
+    const firstDelivery = await PaymentEventService.recordRefundProcessed(client, {
+      event_id: idempotency_key,
+      refund_id,
+      status,
+    });
+    if (!firstDelivery) {
+      await client.query('ROLLBACK');
+      log.info('Replayed refund webhook event, ignoring', { booking_id: refund.booking_id });
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    if (refund.state !== 'PROCESSING') {
+      await client.query('ROLLBACK');
+      log.info('Duplicate refund webhook', { booking_id: refund.booking_id, state: refund.state });
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    if (status === 'succeeded') {
+      const settled = await RefundService.markSucceeded(refund_id, provider_reference, client);
+      await client.query('COMMIT');
+      return res.status(200).json({ received: true, refund_state: settled ? settled.state : refund.state });
+    }
+
+    if (status === 'failed') {
+      const failed = await RefundService.markFailed(
+        refund_id, failure_reason || 'Provider reported failure', client
+      );
+      await client.query('COMMIT');
+      log.warn('Refund failed at provider', { booking_id: refund.booking_id });
+      return res.status(200).json({ received: true, refund_state: failed ? failed.state : refund.state });
+    }
+
+    await client.query('ROLLBACK');
+    log.warn('Refund webhook with unknown status');
+    return res.status(200).json({ received: true });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    log.error('Refund webhook processing error', { err });
     return res.status(200).json({ received: true });
   } finally {
     client.release();
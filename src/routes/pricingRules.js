@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const PricingRuleService = require('../services/pricingRuleService');
+const { validatePricingRule } = require('../lib/pricingRules');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole('operator', 'admin'));
+
+// GET /pricing-rules?trip_id=
+// With trip_id, the rules that can apply to that trip (its own and global ones)
+router.get('/', async (req, res, next) => {
+  try {
+    const { trip_id } = req.query;
+    if (trip_id !== undefined && !isUuid(trip_id)) {
+      return res.status(400).json({ error: 'trip_id must be a UUID' });
+    }
+    const rules = await PricingRuleService.list({ trip_id });
+    res.json({ pricing_rules: rules });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /pricing-rules
+// { name, adjustment_percent, min_occupancy_percent?, max_occupancy_percent?,
+//   min_days_to_departure?, max_days_to_departure?, priority?, trip_id? }
+// Without trip_id the rule applies to every trip
+router.post('/', async (req, res, next) => {
+  try {
+    const {
+      name, adjustment_percent, min_occupancy_percent = null, max_occupancy_percent = null,
+      min_days_to_departure = null, max_days_to_departure = null, priority = 0, trip_id = null,
+    } = req.body;
+    const rule = {
+      name, adjustment_percent, min_occupancy_percent, max_occupancy_percent,
+      min_days_to_departure, max_days_to_departure, priority,
+    };
+
+    const error = validatePricingRule(rule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (trip_id !== null && !isUuid(trip_id)) {
+      return res.status(400).json({ error: 'trip_id must be a UUID' });
+    }
+
+    const created = await PricingRuleService.create({ ...rule, trip_id, created_by: req.user.id });
+    res.status(201).json({ pricing_rule: created });
+  } catch (err) {
+    if (err.code === '23503' && err.constraint === 'pricing_rules_trip_id_fkey') {
+      return res.status(400).json({ error: 'trip_id does not exist' });
+    }
+    next(err);
+  }
+});
+
+// PATCH /pricing-rules/:ruleId  { active }
+// Rules are switched off rather than edited, so the price history and booking
+// breakdowns keep pointing at the rule that priced them.
+router.patch('/:ruleId', async (req, res, next) => {
+  try {
+    if (typeof req.body.active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be a boolean' });
+    }
+    const rule = isUuid(req.params.ruleId)
+      ? await PricingRuleService.setActive(req.params.ruleId, req.body.active)
+      : null;
+    if (!rule) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+    res.json({ pricing_rule: rule });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const PromoCodeService = require('../services/promoCodeService');
+const { normalizeCode, validatePromoCode } = require('../lib/discounts');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole('operator', 'admin'));
+
+function validateTripScope(tripId) {
+  if (tripId !== undefined && tripId !== null && !isUuid(tripId)) {
+    return 'trip_id must be a UUID';
+  }
+  return null;
+}
+
+router.get('/', async (req, res, next) => {
+  try {
+    const promoCodes = await PromoCodeService.list();
+    res.json({ promo_codes: promoCodes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:promoId', async (req, res, next) => {
+  try {
+    const promo = isUuid(req.params.promoId) ? await PromoCodeService.getById(req.params.promoId) : null;
+    if (!promo) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+    res.json({ promo_code: promo });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /promo-codes
+// { code, discount_type: PERCENT|FIXED, percent_off | amount_off + currency,
+//   trip_id?, valid_from?, valid_until?, max_redemptions?, max_redemptions_per_user? }
+router.post('/', async (req, res, next) => {
+  try {
+    const data = { ...req.body };
+    const validationError = validatePromoCode(data) || validateTripScope(data.trip_id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const promo = await PromoCodeService.create({
+      ...data,
+      code: normalizeCode(data.code),
+      created_by: req.user.id,
+    });
+    res.status(201).json({ promo_code: promo });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A promo code with this code already exists' });
+    }
+    if (err.code === '23503' && err.constraint === 'promo_codes_trip_id_fkey') {
+      return res.status(400).json({ error: 'trip_id does not exist' });
+    }
+    next(err);
+  }
+});
+
+// PATCH /promo-codes/:promoId
+// Limits, validity window, scope and active flag. Lowering a limit below the
+// current redemptions only stops new ones; existing bookings keep their discount.
+router.patch('/:promoId', async (req, res, next) => {
+  try {
+    const fields = {};
+    for (const key of PromoCodeService.UPDATABLE_FIELDS) {
+      if (req.body[key] !== undefined) fields[key] = req.body[key];
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error: `No updatable fields provided. Allowed: ${PromoCodeService.UPDATABLE_FIELDS.join(', ')}`,
+      });
+    }
+    if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be a boolean' });
+    }
+
+    const existing = isUuid(req.params.promoId) ? await PromoCodeService.getById(req.params.promoId) : null;
+    if (!existing) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    const validationError = validatePromoCode({ ...existing, ...fields }) || validateTripScope(fields.trip_id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const promo = await PromoCodeService.update(existing.id, fields);
+    res.json({ promo_code: promo });
+  } catch (err) {
+    if (err.code === '23503' && err.constraint === 'promo_codes_trip_id_fkey') {
+      return res.status(400).json({ error: 'trip_id does not exist' });
+    }
+    next(err);
+  }
+});
+
+module.exports = router;
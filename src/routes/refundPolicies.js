@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const RefundPolicyService = require('../services/refundPolicyService');
+const { validateTiers, normalizeTiers } = require('../lib/refundPolicy');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole('operator', 'admin'));
+
+router.get('/', async (req, res, next) => {
+  try {
+    const policies = await RefundPolicyService.list();
+    res.json({ refund_policies: policies });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:policyId', async (req, res, next) => {
+  try {
+    const policy = await RefundPolicyService.getById(req.params.policyId);
+    if (!policy) {
+      return res.status(404).json({ error: 'Refund policy not found' });
+    }
+    res.json({ refund_policy: policy });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, description, tiers } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const tiersError = validateTiers(tiers);
+    if (tiersError) {
+      return res.status(400).json({ error: tiersError });
+    }
+
+    const policy = await RefundPolicyService.create({
+      name, description, tiers: normalizeTiers(tiers),
+    });
+    res.status(201).json({ refund_policy: policy });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A refund policy with this name already exists' });
+    }
+    next(err);
+  }
+});
+
+// Changing a policy's tiers affects every trip that uses it, including
+// cancellations of bookings already made on those trips.
+router.patch('/:policyId', async (req, res, next) => {
+  try {
+    const { name, description, tiers } = req.body;
+
+    if (tiers !== undefined) {
+      const tiersError = validateTiers(tiers);
+      if (tiersError) {
+        return res.status(400).json({ error: tiersError });
+      }
+    }
+
+    const policy = await RefundPolicyService.update(req.params.policyId, {
+      name, description, tiers: tiers && normalizeTiers(tiers),
+    });
+    if (!policy) {
+      return res.status(404).json({ error: 'Refund policy not found' });
+    }
+    res.json({ refund_policy: policy });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A refund policy with this name already exists' });
+    }
+    next(err);
+  }
+});
+
+module.exports = router;
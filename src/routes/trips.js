@@ -1,41 +1,232 @@
 const express = require('express');
 const router = express.Router();
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const { getClient } = require('../db/pool');
 const TripService = require('../services/tripService');
 const BookingService = require('../services/bookingService');
+const WaitlistService = require('../services/waitlistService');
+const RefundService = require('../services/refundService');
+const PricingService = require('../services/pricingService');
+const PromoCodeService = require('../services/promoCodeService');
+const PaymentSessionService = require('../services/paymentSessionService');
+const PriceHistoryService = require('../services/priceHistoryService');
+const BookingHistoryService = require('../services/bookingHistoryService');
+const BookingTransitionService = require('../services/bookingTransitionService');
+const { logger } = require('../lib/logger');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { validateTiers, normalizeTiers } = require('../lib/refundPolicy');
+const { decodeCursor } = require('../lib/cursor');
+const { normalizeCode } = require('../lib/discounts');
+const {
+  SUPPORTED_CURRENCIES, DEFAULT_CURRENCY, isSupportedCurrency, isValidAmount,
+  toMinor, fromMinor, convertMinor,
+} = require('../lib/money');
+
+const MAX_PAGE_SIZE = 100;
+
+// Turns GET /trips query params into listPublished filters.
+// Returns { filters, errors } — errors lists every malformed param.
+function parseTripSearch(q) {
+  const filters = {};
+  const errors = [];
+
+  const parseNumber = (name, { integer = false, min = 0 } = {}) => {
+    if (q[name] === undefined || q[name] === '') return;
+    const value = Number(q[name]);
+    if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min) {
+      errors.push(`${name} must be ${integer ? 'an integer' : 'a number'} >= ${min}`);
+      return;
+    }
+    filters[name] = value;
+  };
+
+  const parseDate = (name) => {
+    if (q[name] === undefined || q[name] === '') return;
+    const date = new Date(q[name]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${name} must be an ISO 8601 date`);
+      return;
+    }
+    filters[name] = date;
+  };
+
+  if (q.destination) {
+    filters.destination = String(q.destination);
+  }
+  if (q.currency) {
+    if (isSupportedCurrency(q.currency)) {
+      filters.currency = q.currency;
+    } else {
+      errors.push(`currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+  }
+  parseDate('from');
+  parseDate('to');
+  parseNumber('min_price');
+  parseNumber('max_price');
+  parseNumber('min_seats', { integer: true, min: 1 });
+  parseNumber('min_duration_days', { integer: true, min: 1 });
+  parseNumber('max_duration_days', { integer: true, min: 1 });
+  parseNumber('limit', { integer: true, min: 1 });
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push('from must not be after to');
+  }
+  if (filters.min_price !== undefined && filters.max_price !== undefined && filters.min_price > filters.max_price) {
+    errors.push('min_price must not exceed max_price');
+  }
+  if (filters.min_duration_days !== undefined && filters.max_duration_days !== undefined
+    && filters.min_duration_days > filters.max_duration_days) {
+    errors.push('min_duration_days must not exceed max_duration_days');
+  }
+  if (filters.limit > MAX_PAGE_SIZE) {
+    errors.push(`limit must be at most ${MAX_PAGE_SIZE}`);
+  }
+
+  filters.sort = q.sort || 'date';
+  if (!TripService.SORT_FIELDS.includes(filters.sort)) {
+    errors.push(`sort must be one of: ${TripService.SORT_FIELDS.join(', ')}`);
+  }
+  filters.order = q.order || 'asc';
+  if (filters.order !== 'asc' && filters.order !== 'desc') {
+    errors.push('order must be asc or desc');
+  }
+
+  if (q.cursor) {
+    const cursor = decodeCursor(q.cursor);
+    const valueOk = cursor && (filters.sort === 'date'
+      ? !Number.isNaN(new Date(cursor.value).getTime())
+      : Number.isFinite(Number(cursor.value)));
+    // A cursor only makes sense for the sort it was issued under
+    if (!cursor || !valueOk || !isUuid(cursor.id)
+      || cursor.sort !== filters.sort || cursor.order !== filters.order) {
+      errors.push('cursor is invalid or does not match sort/order');
+    } else {
+      filters.cursor = cursor;
+    }
+  }
+
+  return { filters, errors };
+}
 
 router.get('/', async (req, res, next) => {
   try {
-    const filters = {};
-    if (req.query.destination) {
-      filters.destination = req.query.destination;
+    const { filters, errors } = parseTripSearch(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
     }
-    const trips = await TripService.listPublished(filters);
-    res.json({ trips });
+    const { trips, next_cursor } = await TripService.listPublished(filters);
+    res.json({ trips, next_cursor });
   } catch (err) {
     next(err);
   }
 });
 
+// GET /trips/:tripId?currency=USD
+// With ?currency, also quotes the per-seat price in that currency at today's rate
 router.get('/:tripId', async (req, res, next) => {
   try {
+    const { currency } = req.query;
+    if (currency !== undefined && !isSupportedCurrency(currency)) {
+      return res.status(400).json({ error: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
     const trip = await TripService.getById(req.params.tripId);
     if (!trip) {
       return res.status(404).json({ error: 'Trip not found' });
     }
-    res.json({ trip });
+    if (!currency) {
+      return res.json({ trip });
+    }
+
+    const priceQuote = await PricingService.quote(trip, 1, currency);
+    if (!priceQuote) {
+      return res.status(422).json({ error: `No exchange rate from ${trip.currency} to ${currency}` });
+    }
+    res.json({ trip, price_quote: priceQuote });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /trips/:tripId/quote?seats=2&currency=USD
+// Current price for that many seats with the dynamic pricing rules that apply
+// right now. Only published trips can be quoted. Read-only: price history is
+// written by bookings and base price changes, not by anonymous quotes.
+router.get('/:tripId/quote', async (req, res, next) => {
+  try {
+    const { currency } = req.query;
+    const seats = req.query.seats === undefined ? 1 : Number(req.query.seats);
+    if (!Number.isInteger(seats) || seats < 1) {
+      return res.status(400).json({ error: 'seats must be an integer >= 1' });
+    }
+    if (currency !== undefined && !isSupportedCurrency(currency)) {
+      return res.status(400).json({ error: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    const trip = isUuid(req.params.tripId) ? await TripService.getById(req.params.tripId) : null;
+    if (!trip || trip.status !== 'PUBLISHED') {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    if (seats > trip.max_capacity) {
+      return res.status(400).json({ error: `seats must not exceed the trip's capacity (${trip.max_capacity})` });
+    }
+
+    const quote = await PricingService.quote(trip, seats, currency || trip.currency);
+    if (!quote) {
+      return res.status(422).json({ error: `No exchange rate from ${trip.currency} to ${currency}` });
+    }
+
+    res.json({ quote, available_seats: trip.available_seats });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /trips/:tripId/price-history?limit=&cursor=
+// Per-seat prices the trip has been sold and listed at, newest first, with the
+// rules behind each; rows with a booking_id audit that booking's price_at_booking
+router.get('/:tripId/price-history', requireRole('operator', 'admin'), async (req, res, next) => {
+  try {
+    const options = {};
+    const errors = [];
+    if (req.query.limit !== undefined) {
+      const limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+      }
+      options.limit = limit;
+    }
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || Number.isNaN(new Date(cursor.value).getTime()) || !isUuid(cursor.id)) {
+        errors.push('cursor is invalid');
+      }
+      options.cursor = cursor;
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const trip = isUuid(req.params.tripId) ? await TripService.getById(req.params.tripId) : null;
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const { entries, next_cursor } = await PriceHistoryService.listForTrip(trip.id, options);
+    res.json({ trip_id: trip.id, currency: trip.currency, price_history: entries, next_cursor });
   } catch (err) {
     next(err);
   }
 });
 
-router.post('/', async (req, res, next) => {
+router.post('/', requireRole('operator', 'admin'), async (req, res, next) => {
+  let client;
   try {
     const {
-      title, destination, start_date, end_date, price,
+      title, destination, start_date, end_date, price, currency = DEFAULT_CURRENCY,
       max_capacity, status, refundable_until_days_before,
-      cancellation_fee_percent,
+      cancellation_fee_percent, refund_policy_id, refund_tiers, partner_id = null,
     } = req.body;
 
     if (!title || !destination || !start_date || !end_date || !price || !max_capacity) {
@@ -48,38 +239,446 @@ router.post('/', async (req, res, next) => {
       return res.status(400).json({ error: 'end_date must be after start_date' });
     }
 
-    if (price < 0) {
-      return res.status(400).json({ error: 'price must be non-negative' });
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({ error: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    if (!isValidAmount(price, currency)) {
+      return res.status(400).json({ error: `price must be a non-negative amount in ${currency}` });
     }
 
     if (max_capacity < 1) {
       return res.status(400).json({ error: 'max_capacity must be at least 1' });
     }
 
-    const trip = await TripService.create({
-      title, destination, start_date, end_date, price,
+    if (status && status !== 'DRAFT' && status !== 'PUBLISHED') {
+      return res.status(400).json({ error: 'status must be DRAFT or PUBLISHED' });
+    }
+
+    const refundPolicyError = validateRefundPolicyFields({ refund_policy_id, refund_tiers });
+    if (refundPolicyError) {
+      return res.status(400).json({ error: refundPolicyError });
+    }
+
+    if (partner_id !== null && !isUuid(partner_id)) {
+      return res.status(400).json({ error: 'partner_id must be a UUID' });
+    }
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const trip = await TripService.create(client, {
+      title, destination, start_date, end_date, price, currency,
       max_capacity, status, refundable_until_days_before,
-      cancellation_fee_percent,
+      cancellation_fee_percent, refund_policy_id,
+      refund_tiers: refund_tiers && normalizeTiers(refund_tiers),
+      partner_id,
     });
 
+    await client.query('COMMIT');
+
     res.status(201).json({ trip });
   } catch (err) {
+    if (client) await client.query('ROLLBACK');
+    if (err.code === '23503' && err.constraint === 'trips_refund_policy_id_fkey') {
+      return res.status(400).json({ error: 'refund_policy_id does not exist' });
+    }
     next(err);
+  } finally {
+    if (client) client.release();
   }
 });
 
-router.post('/:tripId/book', async (req, res, next) => {
+// Either reference to a tiered schedule is optional; null clears it
+function validateRefundPolicyFields({ refund_policy_id, refund_tiers }) {
+  if (refund_policy_id !== undefined && refund_policy_id !== null && !isUuid(refund_policy_id)) {
+    return 'refund_policy_id must be a UUID';
+  }
+  if (refund_tiers !== undefined && refund_tiers !== null) {
+    return validateTiers(refund_tiers);
+  }
+  return null;
+}
+
+// Validates a trip as it would look after an update. Returns an error message or null.
+function validateTripUpdate(trip) {
+  if (!trip.title || !trip.destination) {
+    return 'title and destination cannot be empty';
+  }
+  if (new Date(trip.end_date) <= new Date(trip.start_date)) {
+    return 'end_date must be after start_date';
+  }
+  if (!isValidAmount(trip.price, trip.currency)) {
+    return `price must be a non-negative amount in ${trip.currency}`;
+  }
+  if (!Number.isInteger(Number(trip.max_capacity)) || Number(trip.max_capacity) < 1) {
+    return 'max_capacity must be an integer of at least 1';
+  }
+  if (!Number.isInteger(Number(trip.refundable_until_days_before)) || trip.refundable_until_days_before < 0) {
+    return 'refundable_until_days_before must be a non-negative integer';
+  }
+  const fee = Number(trip.cancellation_fee_percent);
+  if (!Number.isInteger(fee) || fee < 0 || fee > 100) {
+    return 'cancellation_fee_percent must be an integer between 0 and 100';
+  }
+  if (trip.partner_id !== null && trip.partner_id !== undefined && !isUuid(trip.partner_id)) {
+    return 'partner_id must be a UUID';
+  }
+  return null;
+}
+
+// PATCH /trips/:tripId
+// Price changes only affect future bookings: existing ones keep price_at_booking.
+// A trip's currency is fixed when it is created.
+router.patch('/:tripId', requireRole('operator', 'admin'), async (req, res, next) => {
+  const fields = {};
+  for (const key of TripService.UPDATABLE_FIELDS) {
+    if (req.body[key] !== undefined) fields[key] = req.body[key];
+  }
+
+  if (req.body.status !== undefined) {
+    return res.status(400).json({
+      error: 'status cannot be patched; use /publish, /unpublish or /cancel',
+    });
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({
+      error: `No updatable fields provided. Allowed: ${TripService.UPDATABLE_FIELDS.join(', ')}`,
+    });
+  }
+
   const client = await getClient();
   try {
-    const { user_id, num_seats = 1 } = req.body;
+    await client.query('BEGIN');
 
-    if (!user_id) {
-      return res.status(400).json({ error: 'user_id is required' });
+    const trip = await TripService.getByIdForUpdate(client, req.params.tripId);
+    if (!trip) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Trip not found' });
     }
-    if (num_seats < 1) {
-      return res.status(400).json({ error: 'num_seats must be at least 1' });
+
+    if (trip.status === 'CANCELLED') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Cannot update a cancelled trip' });
+    }
+
+    const validationError = validateTripUpdate({ ...trip, ...fields })
+      || validateRefundPolicyFields(fields);
+    if (validationError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (fields.max_capacity !== undefined) {
+      const bookedSeats = trip.max_capacity - trip.available_seats;
+      if (fields.max_capacity < bookedSeats) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'max_capacity cannot be lower than the number of booked seats',
+          booked_seats: bookedSeats,
+          requested: fields.max_capacity,
+        });
+      }
+    }
+
+    if (fields.refund_tiers) {
+      fields.refund_tiers = normalizeTiers(fields.refund_tiers);
     }
 
+    let updated = await TripService.update(client, trip.id, fields);
+
+    // A new base price starts a new entry in the trip's price history
+    if (fields.price !== undefined && Number(updated.price) !== Number(trip.price)) {
+      await PriceHistoryService.record(client, await PricingService.quote(updated, 1));
+    }
+
+    // Raising capacity frees seats that waiting users should get first
+    if (updated.available_seats > trip.available_seats) {
+      await WaitlistService.offerReleasedSeats(client, trip.id);
+      updated = await TripService.getByIdForUpdate(client, trip.id);
+    }
+
+    await client.query('COMMIT');
+    res.json({ trip: updated });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23503' && err.constraint === 'trips_refund_policy_id_fkey') {
+      return res.status(400).json({ error: 'refund_policy_id does not exist' });
+    }
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// Simple status transitions: from-states that may move to the target status
+const STATUS_TRANSITIONS = {
+  publish: { from: ['DRAFT'], to: 'PUBLISHED' },
+  unpublish: { from: ['PUBLISHED'], to: 'DRAFT' },
+};
+
+for (const [action, transition] of Object.entries(STATUS_TRANSITIONS)) {
+  router.post(`/:tripId/${action}`, requireRole('operator', 'admin'), async (req, res, next) => {
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      const trip = await TripService.getByIdForUpdate(client, req.params.tripId);
+      if (!trip) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Trip not found' });
+      }
+
+      if (!transition.from.includes(trip.status)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Cannot ${action} a trip that is ${trip.status}`,
+        });
+      }
+
+      const updated = await TripService.setStatus(client, trip.id, transition.to);
+
+      await client.query('COMMIT');
+      res.json({ trip: updated });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      next(err);
+    } finally {
+      client.release();
+    }
+  });
+}
+
+// POST /trips/:tripId/cancel
+// Cancels the trip and every active booking on it with a full refund,
+// regardless of the trip's refund policy, in a single transaction.
+router.post('/:tripId/cancel', requireRole('operator', 'admin'), async (req, res, next) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    // Bookings before the trip row: booking cancellation, expiry and the payment
+    // webhook lock the booking and then return its seats to the trip, so taking
+    // the trip first would deadlock against them
+    await BookingService.findActiveByTripForUpdate(client, req.params.tripId);
+    const trip = await TripService.getByIdForUpdate(client, req.params.tripId);
+    if (!trip) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    if (trip.status === 'CANCELLED') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Trip is already cancelled' });
+    }
+
+    // Again under the trip lock, to include bookings made while we waited for it
+    const activeBookings = await BookingService.findActiveByTripForUpdate(client, trip.id);
+
+    // Refunds are paid in each booking's own currency; the total is also
+    // reported in the trip's currency at the rates locked on the bookings
+    let totalRefundedMinor = 0;
+    const refundedByCurrency = {};
+    const refunds = [];
+    for (const booking of activeBookings) {
+      // Everything paid comes back; unpaid (PENDING_PAYMENT) bookings have
+      // nothing to give back. The trip is gone, so its seats aren't offered on.
+      const { refund } = await BookingTransitionService.forceCancel(client, booking, {
+        audit: { actor: BookingHistoryService.actorFor(req.user), reason: 'trip_cancelled' },
+        refundAmount: booking.state === 'CONFIRMED' ? booking.price_at_booking : 0,
+        refundReason: 'Trip cancelled',
+        seatReason: 'trip_cancelled',
+        offerToWaitlist: false,
+      });
+
+      if (refund) {
+        const refundMinor = toMinor(refund.amount, booking.currency);
+        refunds.push(refund);
+        refundedByCurrency[booking.currency] = (refundedByCurrency[booking.currency] || 0) + refundMinor;
+        totalRefundedMinor += convertMinor(
+          refundMinor, booking.currency, trip.currency, 1 / Number(booking.exchange_rate)
+        );
+      }
+    }
+
+    const cancelledTrip = await TripService.setStatus(client, trip.id, 'CANCELLED');
+
+    await client.query('COMMIT');
+    logger.info('Trip cancelled', {
+      trip_id: trip.id, bookings_cancelled: activeBookings.length, refunds_requested: refunds.length,
+    });
+
+    for (const refund of refunds) {
+      RefundService.process(refund.id).catch(err => {
+        logger.error('Initial refund attempt errored', {
+          refund_id: refund.id, booking_id: refund.booking_id, err,
+        });
+      });
+    }
+
+    res.json({
+      trip: cancelledTrip,
+      cancelled_bookings: activeBookings.length,
+      currency: trip.currency,
+      total_refunded: fromMinor(totalRefundedMinor, trip.currency),
+      refunded_by_currency: Object.fromEntries(
+        Object.entries(refundedByCurrency).map(([currency, minor]) => [currency, fromMinor(minor, currency)])
+      ),
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// Deliberately loose: the mail transport is the real check
+function isValidEmail(value) {
+  return typeof value === 'string' && value.length <= 320 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+// POST /trips/:tripId/waitlist
+// Joins the FIFO waitlist of a sold-out trip
+router.post('/:tripId/waitlist', requireAuth, async (req, res, next) => {
+  try {
+    const { num_seats = 1, contact_email = null, currency = null } = req.body;
+    if (!Number.isInteger(num_seats) || num_seats < 1) {
+      return res.status(400).json({ error: 'num_seats must be an integer of at least 1' });
+    }
+    if (contact_email !== null && !isValidEmail(contact_email)) {
+      return res.status(400).json({ error: 'contact_email must be a valid email address' });
+    }
+    if (currency !== null && !isSupportedCurrency(currency)) {
+      return res.status(400).json({ error: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    const trip = await TripService.getById(req.params.tripId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    if (trip.status !== 'PUBLISHED') {
+      return res.status(400).json({ error: 'Trip is not available for booking' });
+    }
+    if (num_seats > trip.max_capacity) {
+      return res.status(400).json({ error: 'num_seats exceeds the trip capacity' });
+    }
+    if (trip.available_seats >= num_seats) {
+      return res.status(409).json({
+        error: 'Seats are available, book directly instead',
+        available_seats: trip.available_seats,
+      });
+    }
+
+    await WaitlistService.join({
+      trip_id: trip.id, user_id: req.user.id, num_seats, contact_email, currency,
+    });
+    const entry = await WaitlistService.getForUser(trip.id, req.user.id);
+
+    res.status(201).json({ waitlist_entry: entry });
+  } catch (err) {
+    if (err.code === '23505' && err.constraint === 'uniq_waitlist_waiting_user') {
+      return res.status(409).json({ error: 'Already on the waitlist for this trip' });
+    }
+    next(err);
+  }
+});
+
+// GET /trips/:tripId/waitlist
+// The caller's waitlist entry, position while waiting, or offered booking
+router.get('/:tripId/waitlist', requireAuth, async (req, res, next) => {
+  try {
+    const entry = await WaitlistService.getForUser(req.params.tripId, req.user.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not on the waitlist for this trip' });
+    }
+    res.json({ waitlist_entry: entry });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /trips/:tripId/waitlist
+router.delete('/:tripId/waitlist', requireAuth, async (req, res, next) => {
+  try {
+    const entry = await WaitlistService.leave(req.params.tripId, req.user.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not on the waitlist for this trip' });
+    }
+    res.json({ waitlist_entry: entry });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A retried request must describe the same booking as the one stored under its key
+function isSameBookingRequest(booking, request) {
+  return booking.trip_id === request.trip_id
+    && booking.user_id === request.user_id
+    && booking.num_seats === request.num_seats
+    && (request.currency === undefined || booking.currency === request.currency)
+    && (booking.promo_code || null) === (request.promo_code || null);
+}
+
+async function replayBooking(res, booking, request) {
+  if (!isSameBookingRequest(booking, request)) {
+    return res.status(422).json({
+      error: 'Idempotency-Key was already used with a different request payload',
+    });
+  }
+  const session = await PaymentSessionService.getCurrent(booking.id);
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(201).json({
+    booking,
+    payment_session: session,
+    payment_url: PaymentSessionService.paymentUrl(booking, session),
+  });
+}
+
+router.post('/:tripId/book', requireAuth, async (req, res, next) => {
+  const { num_seats: rawSeats = 1, contact_email = null, currency, promo_code = null } = req.body;
+  const user_id = req.user.id;
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  // A numeric string ("2") is accepted, but from here on the seat count is a
+  // number: it is compared strictly when an idempotent request is replayed
+  const num_seats = typeof rawSeats === 'string' && /^\d+$/.test(rawSeats.trim())
+    ? Number(rawSeats)
+    : rawSeats;
+  if (!Number.isInteger(num_seats) || num_seats < 1) {
+    return res.status(400).json({ error: 'num_seats must be an integer of at least 1' });
+  }
+  if (contact_email !== null && !isValidEmail(contact_email)) {
+    return res.status(400).json({ error: 'contact_email must be a valid email address' });
+  }
+  if (currency !== undefined && !isSupportedCurrency(currency)) {
+    return res.status(400).json({ error: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+  }
+  if (promo_code !== null && (typeof promo_code !== 'string' || !promo_code.trim())) {
+    return res.status(400).json({ error: 'promo_code must be a non-empty string' });
+  }
+  if (idempotencyKey !== undefined && (!idempotencyKey || idempotencyKey.length > 255)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be between 1 and 255 characters' });
+  }
+
+  const bookingRequest = {
+    trip_id: req.params.tripId, user_id, num_seats, currency,
+    promo_code: promo_code && normalizeCode(promo_code),
+  };
+
+  if (idempotencyKey) {
+    try {
+      const existing = await BookingService.getByIdempotencyKey(idempotencyKey);
+      if (existing) {
+        return await replayBooking(res, existing, bookingRequest);
+      }
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  const client = await getClient();
+  try {
     await client.query('BEGIN');
 
     const trip = await TripService.getByIdForUpdate(client, req.params.tripId);
@@ -100,9 +699,20 @@ router.post('/:tripId/book', async (req, res, next) => {
         error: 'Not enough seats available',
         available_seats: trip.available_seats,
         requested: num_seats,
+        waitlist_url: `/trips/${trip.id}/waitlist`,
       });
     }
 
+    // Charged in the requested currency (the trip's by default) at the current
+    // rate, less any discounts; the rate is stored on the booking and never re-read
+    const pricing = await PricingService.priceBooking(client, {
+      trip, num_seats, currency: currency || trip.currency, user_id, promo_code,
+    });
+    if (pricing.error) {
+      await client.query('ROLLBACK');
+      return res.status(422).json({ error: pricing.error });
+    }
+
     const decremented = await TripService.decrementSeats(client, trip.id, num_seats);
     if (!decremented) {
       await client.query('ROLLBACK');
@@ -116,19 +726,59 @@ router.post('/:tripId/book', async (req, res, next) => {
       trip_id: trip.id,
       user_id,
       num_seats,
-      price_at_booking: parseFloat(trip.price) * num_seats,
-      idempotency_key: uuidv4(),
+      price_at_booking: pricing.total,
+      list_price: pricing.list_price,
+      discount_amount: pricing.discount_amount,
+      discounts: pricing.discounts,
+      promo_code: pricing.promo ? pricing.promo.code : null,
+      price_adjustments: pricing.price_adjustments,
+      currency: pricing.currency,
+      exchange_rate: pricing.exchange_rate,
+      idempotency_key: idempotencyKey || uuidv4(),
       expires_at: expiresAt,
-    });
+      contact_email,
+    }, { actor: BookingHistoryService.actorFor(req.user) });
+
+    await PriceHistoryService.record(client, pricing, booking.id);
+
+    if (pricing.promo) {
+      await PromoCodeService.redeem(client, {
+        promo_code_id: pricing.promo.id,
+        booking_id: booking.id,
+        user_id,
+        discount_amount: pricing.discounts.find(d => d.type === 'promo').amount,
+        currency: pricing.currency,
+      });
+    }
+
+    const session = await PaymentSessionService.open(client, booking.id);
 
     await client.query('COMMIT');
+    logger.info('Booking created', {
+      booking_id: booking.id, trip_id: trip.id, user_id, seats: num_seats,
+      total: booking.price_at_booking, currency: booking.currency,
+    });
 
     res.status(201).json({
       booking,
-      payment_url: `https://pay.gotyolo.mock/checkout/${booking.id}`,
+      payment_session: session,
+      payment_url: PaymentSessionService.paymentUrl(booking, session),
     });
   } catch (err) {
     await client.query('ROLLBACK');
+
+    // A concurrent retry with the same key won the race to insert; replay its result
+    if (idempotencyKey && err.code === '23505' && err.constraint === 'bookings_idempotency_key_key') {
+      try {
+        const existing = await BookingService.getByIdempotencyKey(idempotencyKey);
+        if (existing) {
+          return await replayBooking(res, existing, bookingRequest);
+        }
+      } catch (lookupErr) {
+        return next(lookupErr);
+      }
+    }
+
     next(err);
   } finally {
     client.release();
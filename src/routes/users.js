@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const BookingService = require('../services/bookingService');
+const { requireAuth } = require('../middleware/auth');
+const { decodeCursor } = require('../lib/cursor');
+const { BOOKING_STATES } = require('../lib/bookingStateMachine');
+
+const MAX_PAGE_SIZE = 100;
+
+// Roles that may list anyone's bookings; everyone else only their own
+const STAFF_ROLES = ['operator', 'admin'];
+
+router.use(requireAuth);
+
+// GET /users/:userId/bookings
+// "me" stands for the caller. Only operators and admins may list another user's bookings.
+router.get('/:userId/bookings', async (req, res, next) => {
+  try {
+    const userId = req.params.userId === 'me' ? req.user.id : req.params.userId;
+
+    if (!isUuid(userId)) {
+      return res.status(400).json({ error: 'userId must be a UUID or "me"' });
+    }
+    if (userId !== req.user.id && !STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: "Not allowed to view another user's bookings" });
+    }
+
+    const errors = [];
+    const filters = {};
+
+    if (req.query.state) {
+      filters.states = String(req.query.state).split(',').map(s => s.trim().toUpperCase());
+      const unknown = filters.states.filter(s => !BOOKING_STATES.includes(s));
+      if (unknown.length > 0) {
+        errors.push(`state must be a comma-separated list of: ${BOOKING_STATES.join(', ')}`);
+      }
+    }
+
+    if (req.query.when) {
+      if (req.query.when !== 'upcoming' && req.query.when !== 'past') {
+        errors.push('when must be upcoming or past');
+      }
+      filters.when = req.query.when;
+    }
+
+    if (req.query.limit !== undefined) {
+      const limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+      }
+      filters.limit = limit;
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || Number.isNaN(new Date(cursor.value).getTime()) || !isUuid(cursor.id)) {
+        errors.push('cursor is invalid');
+      }
+      filters.cursor = cursor;
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const { bookings, next_cursor } = await BookingService.listByUser(userId, filters);
+    res.json({ user_id: userId, bookings, next_cursor });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const WebhookService = require('../services/webhookService');
+const TripService = require('../services/tripService');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole('partner', 'admin'));
+
+async function validateSubscription({ url, event_types, trip_id }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+    return 'url must use https';
+  }
+
+  if (!Array.isArray(event_types) || event_types.length === 0) {
+    return 'event_types must be a non-empty array';
+  }
+  const unknown = event_types.filter(t => !WebhookService.SUBSCRIBABLE_EVENTS.includes(t));
+  if (unknown.length > 0) {
+    return `Unknown event type(s): ${unknown.join(', ')}. Expected any of: ${WebhookService.SUBSCRIBABLE_EVENTS.join(', ')}`;
+  }
+
+  if (trip_id !== undefined && trip_id !== null && !isUuid(trip_id)) {
+    return 'trip_id must be a UUID';
+  }
+  return WebhookService.checkUrl(url);
+}
+
+// Loads a subscription the caller may manage: their own, or any for admins
+async function loadSubscription(req, res) {
+  if (!isUuid(req.params.subscriptionId)) {
+    res.status(404).json({ error: 'Subscription not found' });
+    return null;
+  }
+  const subscription = await WebhookService.getSubscription(req.params.subscriptionId);
+  if (!subscription || (req.user.role !== 'admin' && subscription.owner_id !== req.user.id)) {
+    res.status(404).json({ error: 'Subscription not found' });
+    return null;
+  }
+  return subscription;
+}
+
+// POST /webhooks/subscriptions
+// The signing secret is only ever returned in this response. A partner's
+// subscription only receives events for their own trips (trips.partner_id) and
+// bookings they made; admins' subscriptions receive every event.
+router.post('/subscriptions', async (req, res, next) => {
+  try {
+    const { url, event_types, trip_id = null } = req.body;
+
+    const validationError = await validateSubscription({ url, event_types, trip_id });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const partnerId = req.user.role === 'partner' ? req.user.id : null;
+    if (trip_id) {
+      const trip = await TripService.getById(trip_id);
+      if (!trip) {
+        return res.status(404).json({ error: 'Trip not found' });
+      }
+      if (partnerId && trip.partner_id !== partnerId) {
+        return res.status(403).json({ error: "Not allowed to subscribe to another partner's trip" });
+      }
+    }
+
+    const subscription = await WebhookService.createSubscription({
+      owner_id: req.user.id,
+      partner_id: partnerId,
+      url,
+      event_types: [...new Set(event_types)],
+      trip_id,
+    });
+    res.status(201).json({ subscription });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /webhooks/subscriptions — the caller's active subscriptions (all, for admins)
+router.get('/subscriptions', async (req, res, next) => {
+  try {
+    const ownerId = req.user.role === 'admin' ? null : req.user.id;
+    const subscriptions = await WebhookService.listSubscriptions(ownerId);
+    res.json({ subscriptions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/subscriptions/:subscriptionId', async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+    res.json({ subscription: WebhookService.toPublic(subscription) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /webhooks/subscriptions/:id — stops deliveries; the delivery log is kept
+router.delete('/subscriptions/:subscriptionId', async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+    if (!subscription.active) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    await WebhookService.deactivateSubscription(subscription.id);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /webhooks/subscriptions/:id/deliveries?limit= — most recent first
+router.get('/subscriptions/:subscriptionId/deliveries', async (req, res, next) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 200' });
+    }
+
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const deliveries = await WebhookService.listDeliveries(subscription.id, limit);
+    res.json({ deliveries });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /webhooks/subscriptions/:id/deliveries/:deliveryId/redeliver
+// Requeues a dead-lettered delivery with a fresh attempt budget.
+router.post('/subscriptions/:subscriptionId/deliveries/:deliveryId/redeliver', async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+    if (!subscription.active) {
+      return res.status(409).json({ error: 'Subscription has been deleted' });
+    }
+
+    const delivery = isUuid(req.params.deliveryId)
+      ? await WebhookService.getDelivery(subscription.id, req.params.deliveryId)
+      : null;
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (delivery.state !== 'DEAD') {
+      return res.status(409).json({ error: `Only DEAD deliveries can be redelivered (delivery is ${delivery.state})` });
+    }
+
+    const requeued = await WebhookService.redeliver(delivery.id);
+    res.status(202).json({ delivery: requeued });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// Issues a bearer token for local development.
+// Usage: npm run token -- <role> [userId]
+require('dotenv').config();
+const { v4: uuidv4 } = require('uuid');
+const { ROLES, signToken } = require('../middleware/auth');
+
+const [role = 'traveler', userId = uuidv4()] = process.argv.slice(2);
+
+if (!ROLES.includes(role)) {
+  console.error(`Unknown role "${role}". Expected one of: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+if (!process.env.JWT_SECRET) {
+  console.error('JWT_SECRET is not set');
+  process.exit(1);
+}
+
+console.log(`user_id: ${userId}`);
+console.log(`role:    ${role}`);
+console.log(`token:   ${signToken({ id: userId, role }, { expiresIn: '12h' })}`);
@@ -0,0 +1,49 @@
+// Local stand-in for a partner endpoint: verifies signatures and logs deliveries.
+// Usage: npm run webhook-receiver -- <secret> [port] [failRate]
+// failRate (0..1) makes that share of requests answer 500, to exercise retries.
+const http = require('http');
+const crypto = require('crypto');
+const { computeSignature, SIGNATURE_HEADER } = require('../middleware/verifyWebhookSignature');
+
+const [secret, port = '4000', failRate = '0'] = process.argv.slice(2);
+
+if (!secret) {
+  console.error('Usage: npm run webhook-receiver -- <secret> [port] [failRate]');
+  process.exit(1);
+}
+
+function verify(header, rawBody) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(p => p.trim().split('=', 2))
+  );
+  if (!parts.t || !parts.v1) return false;
+  const expected = Buffer.from(computeSignature(secret, parts.t, rawBody));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const rawBody = Buffer.concat(chunks);
+    const delivery = req.headers['x-gotyolo-delivery'];
+
+    if (!verify(req.headers[SIGNATURE_HEADER.toLowerCase()], rawBody)) {
+      console.log(`[receiver] ${delivery}: signature mismatch, responding 401`);
+      res.writeHead(401).end();
+      return;
+    }
+    if (Math.random() < Number(failRate)) {
+      console.log(`[receiver] ${delivery}: simulated failure, responding 500`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    const body = JSON.parse(rawBody.toString('utf8'));
+    console.log(`[receiver] ${delivery}: ${body.type} (event #${body.event_id})`, JSON.stringify(body.data));
+    res.writeHead(204).end();
+  });
+}).listen(Number(port), () => {
+  console.log(`[receiver] Listening on http://localhost:${port}`);
+});
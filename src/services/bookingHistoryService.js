@@ -0,0 +1,54 @@
+const { query } = require('../db/pool');
+const { getLogContext } = require('../lib/logger');
+
+// Who changed a booking. Routes pass the caller (actorFor(req.user)); the
+// payment webhook, the expiry job and system-initiated changes (waitlist
+// offers) use the fixed actors below.
+const WEBHOOK_ACTOR = { type: 'webhook' };
+const EXPIRY_JOB_ACTOR = { type: 'expiry-job' };
+const SYSTEM_ACTOR = { type: 'system' };
+
+const ACTOR_TYPE_BY_ROLE = {
+  traveler: 'user',
+  partner: 'user',
+  operator: 'operator',
+  admin: 'admin',
+};
+
+const BookingHistoryService = {
+  WEBHOOK_ACTOR,
+  EXPIRY_JOB_ACTOR,
+  SYSTEM_ACTOR,
+
+  actorFor(user) {
+    return { type: ACTOR_TYPE_BY_ROLE[user.role] || 'user', id: user.id };
+  },
+
+  // Appends a transition. Must run in the transaction that made the change;
+  // the request ID comes from the log context of the request being handled.
+  // audit.details (e.g. the payment webhook's event ID) is kept with the
+  // details of the change itself.
+  async record(client, { booking, event, fromState, audit = {}, details = {} }) {
+    const { actor = SYSTEM_ACTOR, reason = null, payment_reference = null, details: auditDetails = {} } = audit;
+    await client.query(
+      `INSERT INTO booking_transitions
+        (booking_id, event, from_state, to_state, actor_type, actor_id,
+         reason, payment_reference, request_id, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [booking.id, event, fromState, booking.state, actor.type, actor.id || null,
+       reason, payment_reference, getLogContext().request_id || null,
+       JSON.stringify({ ...auditDetails, ...details })]
+    );
+  },
+
+  // Oldest first
+  async listForBooking(bookingId) {
+    const result = await query(
+      `SELECT * FROM booking_transitions WHERE booking_id = $1 ORDER BY id ASC`,
+      [bookingId]
+    );
+    return result.rows;
+  },
+};
+
+module.exports = BookingHistoryService;
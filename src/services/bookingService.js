@@ -1,29 +1,88 @@
 const { query } = require('../db/pool');
+const { encodeCursor, exactTimestampSql } = require('../lib/cursor');
+const EventService = require('./eventService');
+const PromoCodeService = require('./promoCodeService');
+const BookingHistoryService = require('./bookingHistoryService');
+const { allowedFrom } = require('../lib/bookingStateMachine');
 
+// Common event payload for a booking row
+function bookingEvent(type, booking, extra = {}) {
+  return {
+    type,
+    aggregate_type: 'booking',
+    aggregate_id: booking.id,
+    payload: {
+      booking_id: booking.id,
+      trip_id: booking.trip_id,
+      user_id: booking.user_id,
+      num_seats: booking.num_seats,
+      state: booking.state,
+      price_at_booking: booking.price_at_booking,
+      currency: booking.currency,
+      ...extra,
+    },
+  };
+}
+
+// Revenue aggregates over bookings `b` joined to REVENUE_REFUNDS_JOIN, shared
+// with ReportService so the trip metrics and the reports always agree
+const REVENUE_COLUMNS = `
+  COALESCE(SUM(b.amount_paid), 0) AS gross_revenue,
+  COALESCE(SUM(r.refunded), 0) AS refunds_issued,
+  COALESCE(SUM(b.discount_amount) FILTER (WHERE b.amount_paid IS NOT NULL), 0) AS discounts_given`;
+const REVENUE_REFUNDS_JOIN = `
+  LEFT JOIN (SELECT booking_id, SUM(amount) AS refunded FROM refunds GROUP BY booking_id) r
+    ON r.booking_id = b.id`;
+
+// Every change below also appends to the booking's audit trail, in the same
+// transaction. `audit` says who made it and why: { actor, reason }, with actor
+// from BookingHistoryService (actorFor(user) or one of its fixed actors).
+// Each UPDATE only matches the from-states lib/bookingStateMachine allows for
+// it, so a booking that already moved on returns null.
 const BookingService = {
-  async create(client, data) {
+  REVENUE_COLUMNS,
+  REVENUE_REFUNDS_JOIN,
+
+  async create(client, data, audit) {
     const {
       trip_id, user_id, num_seats, price_at_booking,
-      idempotency_key, expires_at,
+      currency, exchange_rate = 1, idempotency_key, expires_at, contact_email = null,
+      list_price = price_at_booking, discount_amount = 0, discounts = [], promo_code = null,
+      price_adjustments = [],
     } = data;
 
     const result = await client.query(
       `INSERT INTO bookings
-        (trip_id, user_id, num_seats, state, price_at_booking,
-         idempotency_key, expires_at)
-       VALUES ($1, $2, $3, 'PENDING_PAYMENT', $4, $5, $6)
+        (trip_id, user_id, num_seats, state, price_at_booking, currency,
+         exchange_rate, idempotency_key, expires_at, original_expires_at, contact_email,
+         list_price, discount_amount, discounts, promo_code, price_adjustments)
+       VALUES ($1, $2, $3, 'PENDING_PAYMENT', $4, $5, $6, $7, $8, $8, $9, $10, $11, $12, $13, $14)
        RETURNING *`,
-      [trip_id, user_id, num_seats, price_at_booking, idempotency_key, expires_at]
+      [trip_id, user_id, num_seats, price_at_booking, currency,
+       exchange_rate, idempotency_key, expires_at, contact_email,
+       list_price, discount_amount, JSON.stringify(discounts), promo_code,
+       JSON.stringify(price_adjustments)]
     );
-    return result.rows[0];
+    const booking = result.rows[0];
+    await EventService.record(client, bookingEvent('booking.created', booking, {
+      expires_at: booking.expires_at,
+    }));
+    await BookingHistoryService.record(client, {
+      booking, event: 'created', fromState: null, audit,
+      details: { num_seats: booking.num_seats, price_at_booking: booking.price_at_booking, currency: booking.currency },
+    });
+    return booking;
   },
 
   async getById(bookingId) {
     const result = await query(
       `SELECT b.*, t.title as trip_title, t.start_date as trip_start_date,
-              t.refundable_until_days_before, t.cancellation_fee_percent
+              t.currency as trip_currency,
+              t.refundable_until_days_before, t.cancellation_fee_percent,
+              t.refund_tiers, rp.name as policy_name, rp.tiers as policy_tiers
        FROM bookings b
        JOIN trips t ON b.trip_id = t.id
+       LEFT JOIN refund_policies rp ON rp.id = t.refund_policy_id
        WHERE b.id = $1`,
       [bookingId]
     );
@@ -33,9 +92,12 @@ const BookingService = {
   async getByIdForUpdate(client, bookingId) {
     const result = await client.query(
       `SELECT b.*, t.title as trip_title, t.start_date as trip_start_date,
-              t.refundable_until_days_before, t.cancellation_fee_percent
+              t.currency as trip_currency,
+              t.refundable_until_days_before, t.cancellation_fee_percent,
+              t.refund_tiers, rp.name as policy_name, rp.tiers as policy_tiers
        FROM bookings b
        JOIN trips t ON b.trip_id = t.id
+       LEFT JOIN refund_policies rp ON rp.id = t.refund_policy_id
        WHERE b.id = $1
        FOR UPDATE OF b`,
       [bookingId]
@@ -43,6 +105,83 @@ const BookingService = {
     return result.rows[0] || null;
   },
 
+  // A user's bookings, newest first, keyset-paginated on (created_at, id)
+  async listByUser(userId, filters = {}) {
+    return this.search({ ...filters, user_id: userId });
+  },
+
+  // Bookings across trips, newest first, keyset-paginated on (created_at, id).
+  // created_from/created_to bound the booking date, departs_from/departs_to the
+  // trip's start; when ('upcoming' or 'past') is relative to now.
+  async search(filters = {}) {
+    const {
+      states, trip_id, user_id, payment_reference,
+      created_from, created_to, departs_from, departs_to,
+      when, limit = 20, cursor = null,
+    } = filters;
+
+    let sql = `
+      SELECT b.*, t.title as trip_title, t.destination as trip_destination,
+             t.start_date as trip_start_date, t.end_date as trip_end_date,
+             ${exactTimestampSql('b.created_at')} as cursor_created_at
+      FROM bookings b
+      JOIN trips t ON b.trip_id = t.id
+      WHERE TRUE
+    `;
+    const params = [];
+    const addCondition = (condition, value) => {
+      params.push(value);
+      sql += ` AND ${condition.replace('?', `$${params.length}`)}`;
+    };
+
+    if (user_id) {
+      addCondition('b.user_id = ?', user_id);
+    }
+    if (trip_id) {
+      addCondition('b.trip_id = ?', trip_id);
+    }
+    if (payment_reference) {
+      addCondition('b.payment_reference = ?', payment_reference);
+    }
+    if (states && states.length > 0) {
+      addCondition('b.state = ANY(?::booking_state[])', states);
+    }
+    if (created_from) {
+      addCondition('b.created_at >= ?', created_from);
+    }
+    if (created_to) {
+      addCondition('b.created_at <= ?', created_to);
+    }
+    if (departs_from) {
+      addCondition('t.start_date >= ?', departs_from);
+    }
+    if (departs_to) {
+      addCondition('t.start_date <= ?', departs_to);
+    }
+    if (when === 'upcoming') {
+      sql += ` AND t.start_date > NOW()`;
+    } else if (when === 'past') {
+      sql += ` AND t.start_date <= NOW()`;
+    }
+    if (cursor) {
+      params.push(cursor.value, cursor.id);
+      sql += ` AND (b.created_at, b.id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`;
+    }
+
+    params.push(limit + 1);
+    sql += ` ORDER BY b.created_at DESC, b.id DESC LIMIT $${params.length}`;
+
+    const result = await query(sql, params);
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = result.rows.length > limit
+      ? encodeCursor({ value: last.cursor_created_at, id: last.id })
+      : null;
+    const bookings = rows.map(({ cursor_created_at, ...booking }) => booking);
+
+    return { bookings, next_cursor: nextCursor };
+  },
+
   async getByIdempotencyKey(idempotencyKey) {
     const result = await query(
       `SELECT * FROM bookings WHERE idempotency_key = $1`,
@@ -51,39 +190,233 @@ const BookingService = {
     return result.rows[0] || null;
   },
 
-  async confirmBooking(client, bookingId, paymentReference) {
+  async confirmBooking(client, bookingId, paymentReference, audit) {
     const result = await client.query(
       `UPDATE bookings
-       SET state = 'CONFIRMED', payment_reference = $2
-       WHERE id = $1 AND state = 'PENDING_PAYMENT'
+       SET state = 'CONFIRMED', payment_reference = $2, amount_paid = price_at_booking
+       WHERE id = $1 AND state = ANY($3::booking_state[])
        RETURNING *`,
-      [bookingId, paymentReference]
+      [bookingId, paymentReference, allowedFrom('confirm')]
     );
-    return result.rows[0] || null;
+    const booking = result.rows[0];
+    if (!booking) return null;
+    await EventService.record(client, bookingEvent('booking.confirmed', booking, {
+      payment_reference: booking.payment_reference,
+    }));
+    await BookingHistoryService.record(client, {
+      booking, event: 'confirmed', fromState: 'PENDING_PAYMENT',
+      audit: { ...audit, payment_reference: booking.payment_reference },
+    });
+    return booking;
   },
 
-  async expireBooking(client, bookingId) {
+  async expireBooking(client, bookingId, audit) {
     const result = await client.query(
       `UPDATE bookings
        SET state = 'EXPIRED'
-       WHERE id = $1 AND state = 'PENDING_PAYMENT'
+       WHERE id = $1 AND state = ANY($2::booking_state[])
        RETURNING *`,
-      [bookingId]
+      [bookingId, allowedFrom('expire')]
     );
-    return result.rows[0] || null;
+    const booking = result.rows[0];
+    if (!booking) return null;
+    if (booking.promo_code) {
+      await PromoCodeService.releaseForBooking(client, booking.id);
+    }
+    await EventService.record(client, bookingEvent('booking.expired', booking));
+    await BookingHistoryService.record(client, {
+      booking, event: 'expired', fromState: 'PENDING_PAYMENT', audit,
+      details: { expires_at: booking.expires_at },
+    });
+    return booking;
+  },
+
+  // A declined payment leaves the booking PENDING_PAYMENT so the customer can
+  // retry within the hold; the seats stay held.
+  async recordPaymentFailure(client, bookingId, reason, audit) {
+    const result = await client.query(
+      `UPDATE bookings
+       SET failed_payment_attempts = failed_payment_attempts + 1, last_payment_error = $2
+       WHERE id = $1 AND state = ANY($3::booking_state[])
+       RETURNING *`,
+      [bookingId, reason, allowedFrom('record_payment_failure')]
+    );
+    const booking = result.rows[0];
+    if (!booking) return null;
+    await EventService.record(client, bookingEvent('booking.payment_failed', booking, {
+      failed_payment_attempts: booking.failed_payment_attempts,
+      reason,
+      expires_at: booking.expires_at,
+    }));
+    await BookingHistoryService.record(client, {
+      booking, event: 'payment_failed', fromState: booking.state, audit: { ...audit, reason },
+      details: { failed_payment_attempts: booking.failed_payment_attempts },
+    });
+    return booking;
   },
 
-  async cancelBooking(client, bookingId, refundAmount) {
+  async extendHold(client, bookingId, expiresAt, audit) {
     const result = await client.query(
       `UPDATE bookings
+       SET expires_at = $2, hold_extensions = hold_extensions + 1
+       WHERE id = $1 AND state = ANY($3::booking_state[])
+       RETURNING *`,
+      [bookingId, expiresAt, allowedFrom('extend_hold')]
+    );
+    const booking = result.rows[0];
+    if (!booking) return null;
+    await EventService.record(client, bookingEvent('booking.hold_extended', booking, {
+      expires_at: booking.expires_at,
+      hold_extensions: booking.hold_extensions,
+    }));
+    await BookingHistoryService.record(client, {
+      booking, event: 'hold_extended', fromState: booking.state, audit,
+      details: { expires_at: booking.expires_at, hold_extensions: booking.hold_extensions },
+    });
+    return booking;
+  },
+
+  async cancelBooking(client, bookingId, refundAmount, audit) {
+    // The FROM snapshot still holds the state before the update, for the trail
+    const result = await client.query(
+      `UPDATE bookings b
        SET state = 'CANCELLED',
            cancelled_at = NOW(),
            refund_amount = $2
-       WHERE id = $1 AND state IN ('PENDING_PAYMENT', 'CONFIRMED')
+       FROM bookings prev
+       WHERE b.id = $1 AND prev.id = b.id AND b.state = ANY($3::booking_state[])
+       RETURNING b.*, prev.state AS previous_state`,
+      [bookingId, refundAmount, allowedFrom('cancel')]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    const { previous_state: previousState, ...booking } = row;
+    // A cancelled booking gives its promo code back to the customer
+    if (booking.promo_code) {
+      await PromoCodeService.releaseForBooking(client, booking.id);
+    }
+    await EventService.record(client, bookingEvent('booking.cancelled', booking, {
+      refund_amount: booking.refund_amount,
+    }));
+    await BookingHistoryService.record(client, {
+      booking, event: 'cancelled', fromState: previousState, audit,
+      details: { refund_amount: booking.refund_amount },
+    });
+    return booking;
+  },
+
+  // Gives back some seats of an active booking. price_at_booking always reflects
+  // the seats still held, so later refunds are computed on the remaining value.
+  // list_price shrinks by the released seats' list share (list_amount_released)
+  // and discount_amount stays the difference between the two.
+  async releaseSeats(client, bookingId, data, audit) {
+    const {
+      seats_released, amount_released, list_amount_released = amount_released,
+      refund_amount, refund_id, reason, created_by,
+    } = data;
+
+    const result = await client.query(
+      `UPDATE bookings
+       SET num_seats = num_seats - $2,
+           price_at_booking = price_at_booking - $3,
+           list_price = list_price - $4,
+           discount_amount = (list_price - $4) - (price_at_booking - $3)
+       WHERE id = $1
+         AND state = ANY($5::booking_state[])
+         AND num_seats > $2
        RETURNING *`,
-      [bookingId, refundAmount]
+      [bookingId, seats_released, amount_released, list_amount_released, allowedFrom('release_seats')]
     );
-    return result.rows[0] || null;
+    const booking = result.rows[0];
+    if (!booking) return null;
+
+    const adjustment = await client.query(
+      `INSERT INTO booking_seat_adjustments
+        (booking_id, seats_before, seats_after, seats_released,
+         amount_released, refund_amount, refund_id, reason, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [bookingId, booking.num_seats + seats_released, booking.num_seats, seats_released,
+       amount_released, refund_amount, refund_id || null, reason || null, created_by || null]
+    );
+
+    await EventService.record(client, bookingEvent('booking.seats_released', booking, {
+      seats_released,
+      refund_amount,
+    }));
+    await BookingHistoryService.record(client, {
+      booking, event: 'seats_released', fromState: booking.state, audit: { reason: reason || null, ...audit },
+      details: { seats_released, refund_amount, num_seats: booking.num_seats },
+    });
+
+    return { booking, adjustment: adjustment.rows[0] };
+  },
+
+  // Moves an active booking to another trip, keeping what the customer was
+  // charged; the caller moves the seats. exchange_rate is the new trip's rate to
+  // the booking currency, and a pending booking's hold never outlasts the new
+  // trip's start. The price difference is recorded in booking_transfers.
+  async transfer(client, bookingId, data, audit) {
+    const {
+      to_trip_id, exchange_rate, price_before, price_after, price_difference, reason, created_by,
+    } = data;
+
+    const result = await client.query(
+      `UPDATE bookings b
+       SET trip_id = t.id,
+           exchange_rate = $3,
+           expires_at = LEAST(b.expires_at, t.start_date)
+       FROM trips t, bookings prev
+       WHERE b.id = $1 AND t.id = $2 AND prev.id = b.id
+         AND b.trip_id <> t.id
+         AND b.state = ANY($4::booking_state[])
+       RETURNING b.*, prev.trip_id AS from_trip_id`,
+      [bookingId, to_trip_id, exchange_rate, allowedFrom('transfer')]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    const { from_trip_id: fromTripId, ...booking } = row;
+
+    const transfer = await client.query(
+      `INSERT INTO booking_transfers
+        (booking_id, from_trip_id, to_trip_id, num_seats, currency,
+         price_before, price_after, price_difference, reason, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [booking.id, fromTripId, booking.trip_id, booking.num_seats, booking.currency,
+       price_before, price_after, price_difference, reason, created_by || null]
+    );
+
+    await EventService.record(client, bookingEvent('booking.transferred', booking, {
+      from_trip_id: fromTripId,
+      price_difference,
+    }));
+    await BookingHistoryService.record(client, {
+      booking, event: 'transferred', fromState: booking.state, audit,
+      details: { from_trip_id: fromTripId, to_trip_id: booking.trip_id, price_difference },
+    });
+
+    return { booking, transfer: transfer.rows[0] };
+  },
+
+  async getTransfers(bookingId) {
+    const result = await query(
+      `SELECT * FROM booking_transfers
+       WHERE booking_id = $1
+       ORDER BY created_at ASC`,
+      [bookingId]
+    );
+    return result.rows;
+  },
+
+  async getSeatAdjustments(bookingId) {
+    const result = await query(
+      `SELECT * FROM booking_seat_adjustments
+       WHERE booking_id = $1
+       ORDER BY created_at ASC`,
+      [bookingId]
+    );
+    return result.rows;
   },
 
   async findExpiredPending() {
@@ -96,6 +429,17 @@ const BookingService = {
     return result.rows;
   },
 
+  async findActiveByTripForUpdate(client, tripId) {
+    const result = await client.query(
+      `SELECT * FROM bookings
+       WHERE trip_id = $1 AND state IN ('PENDING_PAYMENT', 'CONFIRMED')
+       ORDER BY created_at ASC
+       FOR UPDATE`,
+      [tripId]
+    );
+    return result.rows;
+  },
+
   async getByTripId(tripId) {
     const result = await query(
       `SELECT * FROM bookings WHERE trip_id = $1 ORDER BY created_at DESC`,
@@ -111,8 +455,6 @@ const BookingService = {
          COUNT(*) FILTER (WHERE state = 'PENDING_PAYMENT') AS pending_payment,
          COUNT(*) FILTER (WHERE state = 'CANCELLED') AS cancelled,
          COUNT(*) FILTER (WHERE state = 'EXPIRED') AS expired,
-         COALESCE(SUM(price_at_booking) FILTER (WHERE state = 'CONFIRMED'), 0) AS gross_revenue,
-         COALESCE(SUM(refund_amount) FILTER (WHERE state = 'CANCELLED' AND refund_amount > 0), 0) AS refunds_issued,
          COALESCE(SUM(num_seats) FILTER (WHERE state IN ('CONFIRMED', 'PENDING_PAYMENT')), 0) AS booked_seats
        FROM bookings
        WHERE trip_id = $1`,
@@ -120,6 +462,24 @@ const BookingService = {
     );
     return result.rows[0];
   },
+
+  // Revenue and refunds on a trip, summed per booking currency and locked rate
+  // so callers can convert each group back to the trip's currency exactly.
+  // Gross is what paid bookings were charged (amount_paid, kept when they are
+  // cancelled later); refunds are the refund records, full and partial
+  // cancellations alike, so unpaid bookings contribute neither.
+  async getTripRevenueByRate(tripId) {
+    const result = await query(
+      `SELECT b.currency, b.exchange_rate,
+         ${REVENUE_COLUMNS}
+       FROM bookings b
+       ${REVENUE_REFUNDS_JOIN}
+       WHERE b.trip_id = $1
+       GROUP BY b.currency, b.exchange_rate`,
+      [tripId]
+    );
+    return result.rows;
+  },
 };
 
 module.exports = BookingService;
@@ -0,0 +1,187 @@
+const BookingService = require('./bookingService');
+const TripService = require('./tripService');
+const WaitlistService = require('./waitlistService');
+const RefundService = require('./refundService');
+const { BOOKING_TRANSITIONS } = require('../lib/bookingStateMachine');
+const { resolveTiers, calculateRefund } = require('../lib/refundPolicy');
+const { toMinor, fromMinor, prorateMinor } = require('../lib/money');
+
+// Carries out the booking state machine's transitions with their side effects:
+// seats back to the trip (and on to its waitlist) and refund records. Callers
+// lock the booking and check the transition first; everything here runs in
+// their transaction, and returns null if the booking had already moved on.
+
+// Seats go back when the transition always releases them, or while the refund
+// schedule still refunds something; at 0% the trip is imminent and they stay
+// reserved
+function releasesSeats(action, quote) {
+  const rule = BOOKING_TRANSITIONS[action].releasesSeats;
+  return rule === 'always' || (rule === 'if_refundable' && quote.is_refundable);
+}
+
+async function returnSeats(client, booking, seats, reason, offerToWaitlist = true) {
+  await TripService.incrementSeats(client, booking.trip_id, seats, {
+    booking_id: booking.id,
+    reason,
+  });
+  if (offerToWaitlist) {
+    await WaitlistService.offerReleasedSeats(client, booking.trip_id);
+  }
+}
+
+// A refund amount set by hand rather than by the trip's schedule
+function overrideQuote(booking, amount) {
+  const paidMinor = toMinor(booking.price_at_booking, booking.currency);
+  const refundMinor = toMinor(amount, booking.currency);
+  return {
+    amount: fromMinor(refundMinor, booking.currency),
+    currency: booking.currency,
+    refund_percent: paidMinor > 0 ? Math.round((refundMinor / paidMinor) * 100) : 0,
+    is_refundable: refundMinor > 0,
+    override: true,
+  };
+}
+
+async function cancelWith(client, booking, action, quote, {
+  audit, refundReason, seatReason, offerToWaitlist = true,
+}) {
+  const cancelled = await BookingService.cancelBooking(client, booking.id, quote.amount, audit);
+  if (!cancelled) {
+    return null;
+  }
+
+  // Money only moved for confirmed bookings, so only they get a refund record
+  let refund = null;
+  if (booking.state === 'CONFIRMED' && quote.amount > 0) {
+    refund = await RefundService.request(client, {
+      booking_id: booking.id,
+      amount: quote.amount,
+      reason: refundReason,
+    });
+  }
+
+  const seatsReleased = releasesSeats(action, quote) ? booking.num_seats : 0;
+  if (seatsReleased > 0) {
+    await returnSeats(client, booking, seatsReleased, seatReason, offerToWaitlist);
+  }
+
+  return { booking: cancelled, refund, quote, seats_released: seatsReleased };
+}
+
+const BookingTransitionService = {
+  // Refund the booking would get if cancelled now, under its trip's schedule
+  quoteCancellation(booking) {
+    const policy = resolveTiers(booking);
+    const refund = calculateRefund({
+      amount: booking.price_at_booking,
+      currency: booking.currency,
+      startDate: booking.trip_start_date,
+      tiers: policy.tiers,
+    });
+    return { ...refund, policy };
+  },
+
+  // seatReason labels the released seats on the trip ('expired', 'late_payment', ...)
+  async expire(client, booking, { audit, seatReason }) {
+    const expired = await BookingService.expireBooking(client, booking.id, audit);
+    if (!expired) {
+      return null;
+    }
+    if (releasesSeats('expire')) {
+      await returnSeats(client, booking, booking.num_seats, seatReason);
+    }
+    return expired;
+  },
+
+  // Cancels under the trip's refund schedule. Returns { booking, refund, quote,
+  // seats_released }; refund is the refund record, if money is to go back.
+  async cancel(client, booking, { audit, refundReason, seatReason }) {
+    const quote = this.quoteCancellation(booking);
+    return cancelWith(client, booking, 'cancel', quote, { audit, refundReason, seatReason });
+  },
+
+  // Cancels refunding refundAmount whatever the schedule says, and always gives
+  // the seats back: support overrides and trip cancellations. Seats released by
+  // a trip cancellation aren't offered on, so it passes offerToWaitlist: false.
+  async forceCancel(client, booking, {
+    audit, refundAmount, refundReason, seatReason, offerToWaitlist = true,
+  }) {
+    const quote = overrideQuote(booking, refundAmount);
+    return cancelWith(client, booking, 'force_cancel', quote, {
+      audit, refundReason, seatReason, offerToWaitlist,
+    });
+  },
+
+  // Moves the booking and its seats to toTrip (locked by the caller, with
+  // enough seats). quote prices the seats on toTrip in the booking currency.
+  // Returns { booking, transfer }.
+  async transfer(client, booking, { toTrip, quote, audit, createdBy = null }) {
+    if (!await TripService.decrementSeats(client, toTrip.id, booking.num_seats)) {
+      return null;
+    }
+
+    const priceBefore = toMinor(booking.list_price, booking.currency);
+    const priceAfter = toMinor(quote.total, booking.currency);
+    const transferred = await BookingService.transfer(client, booking.id, {
+      to_trip_id: toTrip.id,
+      exchange_rate: quote.exchange_rate,
+      price_before: fromMinor(priceBefore, booking.currency),
+      price_after: fromMinor(priceAfter, booking.currency),
+      price_difference: fromMinor(priceAfter - priceBefore, booking.currency),
+      reason: audit.reason,
+      created_by: createdBy,
+    }, audit);
+    if (!transferred) {
+      return null;
+    }
+
+    if (releasesSeats('transfer')) {
+      await returnSeats(client, booking, booking.num_seats, 'transfer');
+    }
+    return transferred;
+  },
+
+  // Gives back some of the booking's seats. The released seats' share of what
+  // was actually paid (after discounts) is refunded under the trip's schedule,
+  // exactly as a full cancellation would refund it; the seats go back to the
+  // trip whatever the refund. Returns { booking,
+  // adjustment, refund, quote, seats_released }.
+  async releaseSeats(client, booking, seats, { audit, reason = null, createdBy = null }) {
+    const prorate = amount => fromMinor(
+      prorateMinor(toMinor(amount, booking.currency), seats, booking.num_seats),
+      booking.currency
+    );
+    const amountReleased = prorate(booking.price_at_booking);
+    const quote = this.quoteCancellation({ ...booking, price_at_booking: amountReleased });
+
+    let refund = null;
+    if (booking.state === 'CONFIRMED' && quote.amount > 0) {
+      refund = await RefundService.request(client, {
+        booking_id: booking.id,
+        amount: quote.amount,
+        reason: `Partial cancellation of ${seats} seat(s)`,
+      });
+    }
+
+    const released = await BookingService.releaseSeats(client, booking.id, {
+      seats_released: seats,
+      amount_released: amountReleased,
+      list_amount_released: prorate(booking.list_price),
+      refund_amount: refund ? quote.amount : 0,
+      refund_id: refund && refund.id,
+      reason,
+      created_by: createdBy,
+    }, audit);
+    if (!released) {
+      return null;
+    }
+
+    if (releasesSeats('release_seats', quote)) {
+      await returnSeats(client, booking, seats, 'partial_cancellation');
+    }
+
+    return { ...released, refund, quote, seats_released: seats };
+  },
+};
+
+module.exports = BookingTransitionService;
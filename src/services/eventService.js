@@ -0,0 +1,68 @@
+const { query } = require('../db/pool');
+
+// Only events whose writing transaction has finished (and is older than every
+// transaction still running) are visible to readers.
+const VISIBLE = `txid < txid_snapshot_xmin(txid_current_snapshot())`;
+
+// Events are read in (txid, id) order, resuming after the last event a reader
+// saw. Ordering by id alone is not enough: a transaction can take its txid
+// early and its BIGSERIAL id late, so an id can become visible after a higher
+// one has been read. Any event still to become visible has a txid at or above
+// the xmin a reader saw, so it always sorts after everything already read.
+// Readers only keep the last event id; its txid is looked up here (an unknown
+// id, such as 0, starts from the beginning).
+const AFTER = (param) => `(txid, id) > (
+  COALESCE((SELECT txid FROM domain_events WHERE id = ${param}), 0), ${param}
+)`;
+
+const EventService = {
+  // Appends an event to the outbox. Must be called with the client of the
+  // transaction making the change, so the event exists if and only if it commits.
+  async record(client, data) {
+    const { type, aggregate_type, aggregate_id, payload = {} } = data;
+
+    const result = await client.query(
+      `INSERT INTO domain_events (event_type, aggregate_type, aggregate_id, payload)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [type, aggregate_type, aggregate_id, JSON.stringify(payload)]
+    );
+    return result.rows[0];
+  },
+
+  // Events after the one with id afterId, for the /events feed
+  async listAfter(afterId, options = {}) {
+    const { limit = 100, types = null } = options;
+    const params = [afterId];
+
+    let sql = `
+      SELECT id, event_type, aggregate_type, aggregate_id, payload, created_at
+      FROM domain_events
+      WHERE ${AFTER('$1')} AND ${VISIBLE}
+    `;
+    if (types && types.length > 0) {
+      params.push(types);
+      sql += ` AND event_type = ANY($${params.length})`;
+    }
+    params.push(limit);
+    sql += ` ORDER BY txid ASC, id ASC LIMIT $${params.length}`;
+
+    const result = await query(sql, params);
+    return result.rows;
+  },
+
+  // Next batch for a consumer, read inside the dispatcher's transaction
+  async listBatch(client, afterId, limit) {
+    const result = await client.query(
+      `SELECT id, event_type, aggregate_type, aggregate_id, payload, created_at
+       FROM domain_events
+       WHERE ${AFTER('$1')} AND ${VISIBLE}
+       ORDER BY txid ASC, id ASC
+       LIMIT $2`,
+      [afterId, limit]
+    );
+    return result.rows;
+  },
+};
+
+module.exports = EventService;
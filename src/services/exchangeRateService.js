@@ -0,0 +1,57 @@
+const { query } = require('../db/pool');
+
+// Rates are kept to 8 decimal places, like the NUMERIC(18,8) columns they live in
+function roundRate(rate) {
+  return Number(Number(rate).toFixed(8));
+}
+
+const ExchangeRateService = {
+  async list() {
+    const result = await query(
+      `SELECT * FROM exchange_rates ORDER BY base_currency ASC, quote_currency ASC`
+    );
+    return result.rows;
+  },
+
+  async upsert(data) {
+    const { base_currency, quote_currency, rate, updated_by = null } = data;
+
+    const result = await query(
+      `INSERT INTO exchange_rates (base_currency, quote_currency, rate, updated_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (base_currency, quote_currency) DO UPDATE
+       SET rate = EXCLUDED.rate, updated_by = EXCLUDED.updated_by
+       RETURNING *`,
+      [base_currency, quote_currency, rate, updated_by]
+    );
+    return result.rows[0];
+  },
+
+  async remove(baseCurrency, quoteCurrency) {
+    const result = await query(
+      `DELETE FROM exchange_rates WHERE base_currency = $1 AND quote_currency = $2 RETURNING *`,
+      [baseCurrency, quoteCurrency]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Units of `to` per one unit of `from`. Uses the stored pair, or the inverse of
+  // the opposite pair when only that one is maintained. Null if neither exists.
+  async getRate(from, to) {
+    if (from === to) return 1;
+
+    const result = await query(
+      `SELECT base_currency, rate FROM exchange_rates
+       WHERE (base_currency = $1 AND quote_currency = $2)
+          OR (base_currency = $2 AND quote_currency = $1)`,
+      [from, to]
+    );
+    const direct = result.rows.find(r => r.base_currency === from);
+    if (direct) return roundRate(direct.rate);
+
+    const inverse = result.rows[0];
+    return inverse ? roundRate(1 / Number(inverse.rate)) : null;
+  },
+};
+
+module.exports = ExchangeRateService;
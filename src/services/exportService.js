@@ -0,0 +1,129 @@
+const { getClient } = require('../db/pool');
+
+function getBatchSize() {
+  return parseInt(process.env.EXPORT_BATCH_SIZE, 10) || 500;
+}
+
+// Export columns and the SQL behind each; callers pick a subset by name
+const BOOKING_EXPORT_COLUMNS = {
+  booking_id: 'b.id',
+  trip_id: 'b.trip_id',
+  trip_title: 't.title',
+  trip_destination: 't.destination',
+  trip_start_date: 't.start_date',
+  user_id: 'b.user_id',
+  contact_email: 'b.contact_email',
+  state: 'b.state',
+  num_seats: 'b.num_seats',
+  currency: 'b.currency',
+  price_at_booking: 'b.price_at_booking',
+  list_price: 'b.list_price',
+  discount_amount: 'b.discount_amount',
+  promo_code: 'b.promo_code',
+  refund_amount: 'b.refund_amount',
+  payment_reference: 'b.payment_reference',
+  created_at: 'b.created_at',
+  expires_at: 'b.expires_at',
+  cancelled_at: 'b.cancelled_at',
+};
+
+const MANIFEST_COLUMNS = {
+  booking_id: 'b.id',
+  user_id: 'b.user_id',
+  contact_email: 'b.contact_email',
+  num_seats: 'b.num_seats',
+  state: 'b.state',
+  payment_reference: 'b.payment_reference',
+  booked_at: 'b.created_at',
+};
+
+function selectList(definitions, columns) {
+  return columns.map(name => `${definitions[name]} AS ${name}`).join(', ');
+}
+
+const ExportService = {
+  BOOKING_EXPORT_COLUMNS: Object.keys(BOOKING_EXPORT_COLUMNS),
+  MANIFEST_COLUMNS: Object.keys(MANIFEST_COLUMNS),
+
+  // Runs the query through a server-side cursor, handing the rows to onBatch
+  // EXPORT_BATCH_SIZE at a time, so the result never sits in memory whole.
+  // Stops early if onBatch resolves to false (the client went away).
+  async stream(sql, params, onBatch) {
+    const client = await getClient();
+    try {
+      await client.query('BEGIN READ ONLY');
+      await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`, params);
+      const fetch = `FETCH ${getBatchSize()} FROM export_cursor`;
+      for (;;) {
+        const { rows } = await client.query(fetch);
+        if (rows.length === 0 || await onBatch(rows) === false) break;
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Bookings in booking order, filtered like BookingService.search
+  streamBookings({ columns, filters = {} }, onBatch) {
+    const {
+      states, trip_id, user_id, payment_reference, created_from, created_to, departs_from, departs_to,
+    } = filters;
+
+    let sql = `
+      SELECT ${selectList(BOOKING_EXPORT_COLUMNS, columns)}
+      FROM bookings b
+      JOIN trips t ON b.trip_id = t.id
+      WHERE TRUE
+    `;
+    const params = [];
+    const addCondition = (condition, value) => {
+      params.push(value);
+      sql += ` AND ${condition.replace('?', `$${params.length}`)}`;
+    };
+
+    if (user_id) {
+      addCondition('b.user_id = ?', user_id);
+    }
+    if (trip_id) {
+      addCondition('b.trip_id = ?', trip_id);
+    }
+    if (states && states.length > 0) {
+      addCondition('b.state = ANY(?::booking_state[])', states);
+    }
+    if (payment_reference) {
+      addCondition('b.payment_reference = ?', payment_reference);
+    }
+    if (created_from) {
+      addCondition('b.created_at >= ?', created_from);
+    }
+    if (created_to) {
+      addCondition('b.created_at <= ?', created_to);
+    }
+    if (departs_from) {
+      addCondition('t.start_date >= ?', departs_from);
+    }
+    if (departs_to) {
+      addCondition('t.start_date <= ?', departs_to);
+    }
+    sql += ' ORDER BY b.created_at ASC, b.id ASC';
+
+    return this.stream(sql, params, onBatch);
+  },
+
+  // A trip's passengers: its bookings in the given states, in booking order
+  streamManifest(tripId, { columns, states }, onBatch) {
+    const sql = `
+      SELECT ${selectList(MANIFEST_COLUMNS, columns)}
+      FROM bookings b
+      WHERE b.trip_id = $1 AND b.state = ANY($2::booking_state[])
+      ORDER BY b.created_at ASC, b.id ASC
+    `;
+    return this.stream(sql, [tripId, states], onBatch);
+  },
+};
+
+module.exports = ExportService;
@@ -0,0 +1,46 @@
+const { query } = require('../db/pool');
+
+const GroupDiscountService = {
+  async list() {
+    const result = await query(
+      `SELECT * FROM group_discounts ORDER BY trip_id NULLS FIRST, min_seats ASC`
+    );
+    return result.rows;
+  },
+
+  async create(data) {
+    const { trip_id = null, min_seats, percent_off } = data;
+
+    const result = await query(
+      `INSERT INTO group_discounts (trip_id, min_seats, percent_off)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [trip_id, min_seats, percent_off]
+    );
+    return result.rows[0];
+  },
+
+  async setActive(ruleId, active) {
+    const result = await query(
+      `UPDATE group_discounts SET active = $2 WHERE id = $1 RETURNING *`,
+      [ruleId, active]
+    );
+    return result.rows[0] || null;
+  },
+
+  // The most generous active rule for this many seats, trip-specific or global
+  async findBest(tripId, numSeats) {
+    const result = await query(
+      `SELECT * FROM group_discounts
+       WHERE active
+         AND min_seats <= $2
+         AND (trip_id IS NULL OR trip_id = $1)
+       ORDER BY percent_off DESC, min_seats DESC
+       LIMIT 1`,
+      [tripId, numSeats]
+    );
+    return result.rows[0] || null;
+  },
+};
+
+module.exports = GroupDiscountService;
@@ -0,0 +1,168 @@
+const { query } = require('../db/pool');
+const BookingService = require('./bookingService');
+const TripService = require('./tripService');
+const RefundService = require('./refundService');
+const PaymentSessionService = require('./paymentSessionService');
+const { renderNotification } = require('../lib/notificationTemplates');
+const { getNotificationTransport } = require('../providers/notificationTransport');
+const logger = require('../lib/logger').logger.child({ component: 'notify' });
+
+function getMaxAttempts() {
+  return parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3;
+}
+
+// How long a send may stay SENDING before it is assumed lost (the process died
+// between claiming it and recording the outcome) and may be claimed again
+function getSendingTimeoutMinutes() {
+  return parseInt(process.env.NOTIFICATION_SENDING_TIMEOUT_MINUTES, 10) || 10;
+}
+
+// Anything a template needs beyond the booking and trip rows
+async function loadTemplateContext(kind, booking) {
+  if (kind === 'booking_cancelled') {
+    return { refund: await RefundService.getCancellationRefund(booking.id) };
+  }
+  if (kind === 'payment_reminder') {
+    const session = await PaymentSessionService.getCurrent(booking.id);
+    return { paymentUrl: PaymentSessionService.paymentUrl(booking, session) };
+  }
+  return {};
+}
+
+const NotificationService = {
+  // Sends one kind of notification for a booking, at most once. Returns the
+  // notifications row, or null when the booking has no contact address.
+  // Throws if the transport fails, after recording the failure; calling again
+  // retries until NOTIFICATION_MAX_ATTEMPTS is used up.
+  async notify(bookingId, kind) {
+    const booking = await BookingService.getById(bookingId);
+    if (!booking || !booking.contact_email) return null;
+
+    const trip = await TripService.getById(booking.trip_id);
+    const message = renderNotification(kind, {
+      booking, trip, ...await loadTemplateContext(kind, booking),
+    });
+    const transport = getNotificationTransport();
+
+    // Claim the (booking, kind) slot. A FAILED row, or a SENDING one whose claim
+    // has gone stale, is reclaimed while attempts are left; anything else means
+    // it was already handled (or is in flight) and the existing row is returned.
+    const claim = await query(
+      `INSERT INTO notifications (booking_id, kind, recipient, subject, transport)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (booking_id, kind) DO UPDATE
+       SET status = 'SENDING',
+           attempts = notifications.attempts + 1,
+           claimed_at = NOW(),
+           recipient = EXCLUDED.recipient,
+           subject = EXCLUDED.subject,
+           transport = EXCLUDED.transport
+       WHERE notifications.attempts < $6
+         AND (notifications.status = 'FAILED'
+              OR (notifications.status = 'SENDING'
+                  AND notifications.claimed_at <= NOW() - $7 * INTERVAL '1 minute'))
+       RETURNING *`,
+      [booking.id, kind, booking.contact_email, message.subject, transport.name,
+       getMaxAttempts(), getSendingTimeoutMinutes()]
+    );
+    if (claim.rows.length === 0) {
+      const existing = await query(
+        `SELECT * FROM notifications WHERE booking_id = $1 AND kind = $2`,
+        [booking.id, kind]
+      );
+      return existing.rows[0];
+    }
+    const notification = claim.rows[0];
+
+    try {
+      const { message_id } = await transport.send({ to: booking.contact_email, ...message });
+      const sent = await query(
+        `UPDATE notifications
+         SET status = 'SENT', message_id = $2, last_error = NULL, sent_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [notification.id, message_id || null]
+      );
+      logger.info('Notification sent', { kind, booking_id: booking.id, transport: transport.name });
+      return sent.rows[0];
+    } catch (err) {
+      await query(
+        `UPDATE notifications SET status = 'FAILED', last_error = $2 WHERE id = $1`,
+        [notification.id, err.message]
+      );
+      logger.error('Notification failed', {
+        kind, booking_id: booking.id, attempt: notification.attempts, err,
+      });
+      throw err;
+    }
+  },
+
+  async listForBooking(bookingId) {
+    const result = await query(
+      `SELECT id, kind, recipient, subject, transport, status, attempts,
+              last_error, sent_at, created_at
+       FROM notifications
+       WHERE booking_id = $1
+       ORDER BY created_at ASC`,
+      [bookingId]
+    );
+    return result.rows;
+  },
+
+  // Sends left in SENDING by a process that died mid-send, with attempts left.
+  // Nothing else retries them: the event that triggered one has been consumed.
+  async findStaleSending() {
+    const result = await query(
+      `SELECT booking_id, kind FROM notifications
+       WHERE status = 'SENDING'
+         AND claimed_at <= NOW() - $1 * INTERVAL '1 minute'
+         AND attempts < $2
+       ORDER BY claimed_at ASC`,
+      [getSendingTimeoutMinutes(), getMaxAttempts()]
+    );
+    return result.rows;
+  },
+
+  // Reminder candidates skip bookings whose reminder was already sent, is in
+  // flight, or has used up its attempts.
+
+  // Unpaid bookings whose hold runs out within `minutes`
+  async findPaymentReminderCandidates(minutes) {
+    const result = await query(
+      `SELECT b.id FROM bookings b
+       WHERE b.state = 'PENDING_PAYMENT'
+         AND b.contact_email IS NOT NULL
+         AND b.expires_at > NOW()
+         AND b.expires_at <= NOW() + $1 * INTERVAL '1 minute'
+         AND NOT EXISTS (
+           SELECT 1 FROM notifications n
+           WHERE n.booking_id = b.id AND n.kind = 'payment_reminder'
+             AND (n.status <> 'FAILED' OR n.attempts >= $2)
+         )`,
+      [minutes, getMaxAttempts()]
+    );
+    return result.rows.map(r => r.id);
+  },
+
+  // Confirmed bookings on trips starting within `hours`
+  async findDepartureReminderCandidates(hours) {
+    const result = await query(
+      `SELECT b.id FROM bookings b
+       JOIN trips t ON t.id = b.trip_id
+       WHERE b.state = 'CONFIRMED'
+         AND b.contact_email IS NOT NULL
+         AND t.status = 'PUBLISHED'
+         AND t.start_date > NOW()
+         AND t.start_date <= NOW() + $1 * INTERVAL '1 hour'
+         AND NOT EXISTS (
+           SELECT 1 FROM notifications n
+           WHERE n.booking_id = b.id AND n.kind = 'departure_reminder'
+             AND (n.status <> 'FAILED' OR n.attempts >= $2)
+         )`,
+      [hours, getMaxAttempts()]
+    );
+    return result.rows.map(r => r.id);
+  },
+};
+
+module.exports = NotificationService;
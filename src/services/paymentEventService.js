@@ -0,0 +1,30 @@
+const PaymentEventService = {
+  // Records a processed webhook event. Returns false if the event id was
+  // already recorded, i.e. this delivery is a replay.
+  async recordProcessed(client, data) {
+    const { event_id, booking_id, status } = data;
+
+    const result = await client.query(
+      `INSERT INTO payment_webhook_events (event_id, booking_id, status)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (event_id) DO NOTHING`,
+      [event_id, booking_id, status]
+    );
+    return result.rowCount > 0;
+  },
+
+  // The same for refund webhook events
+  async recordRefundProcessed(client, data) {
+    const { event_id, refund_id, status } = data;
+
+    const result = await client.query(
+      `INSERT INTO refund_webhook_events (event_id, refund_id, status)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (event_id) DO NOTHING`,
+      [event_id, refund_id, status]
+    );
+    return result.rowCount > 0;
+  },
+};
+
+module.exports = PaymentEventService;
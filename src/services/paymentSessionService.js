@@ -0,0 +1,75 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../db/pool');
+
+const CHECKOUT_BASE_URL = 'https://pay.gotyolo.mock/checkout';
+
+const PaymentSessionService = {
+  // Where the customer pays. Bookings made before sessions existed have none
+  // and keep the plain per-booking URL.
+  paymentUrl(booking, session) {
+    return session
+      ? `${CHECKOUT_BASE_URL}/${booking.id}?session=${session.id}`
+      : `${CHECKOUT_BASE_URL}/${booking.id}`;
+  },
+
+  // Starts a new checkout for a booking, superseding any session still open.
+  // Must run in the transaction that holds the booking row.
+  async open(client, bookingId) {
+    await client.query(
+      `UPDATE payment_sessions SET state = 'SUPERSEDED'
+       WHERE booking_id = $1 AND state = 'OPEN'`,
+      [bookingId]
+    );
+    const result = await client.query(
+      `INSERT INTO payment_sessions (booking_id, idempotency_key)
+       VALUES ($1, $2)
+       RETURNING *`,
+      [bookingId, `pay-${uuidv4()}`]
+    );
+    return result.rows[0];
+  },
+
+  // The open session, or the most recent one if none is open
+  async getCurrent(bookingId) {
+    const result = await query(
+      `SELECT * FROM payment_sessions
+       WHERE booking_id = $1
+       ORDER BY (state = 'OPEN') DESC, created_at DESC
+       LIMIT 1`,
+      [bookingId]
+    );
+    return result.rows[0] || null;
+  },
+
+  async listForBooking(bookingId) {
+    const result = await query(
+      `SELECT * FROM payment_sessions WHERE booking_id = $1 ORDER BY created_at ASC`,
+      [bookingId]
+    );
+    return result.rows;
+  },
+
+  async countForBooking(client, bookingId) {
+    const result = await client.query(
+      `SELECT COUNT(*)::int AS count FROM payment_sessions WHERE booking_id = $1`,
+      [bookingId]
+    );
+    return result.rows[0].count;
+  },
+
+  // Records the provider's outcome. The webhook may name the session it is
+  // about; otherwise it applies to the booking's open session.
+  async settle(client, bookingId, { sessionId = null, state, failureReason = null }) {
+    const result = await client.query(
+      `UPDATE payment_sessions
+       SET state = $3, failure_reason = $4
+       WHERE booking_id = $1
+         AND ($2::uuid IS NULL AND state = 'OPEN' OR id = $2::uuid)
+       RETURNING *`,
+      [bookingId, sessionId, state, failureReason]
+    );
+    return result.rows[0] || null;
+  },
+};
+
+module.exports = PaymentSessionService;
@@ -0,0 +1,69 @@
+const { query } = require('../db/pool');
+const { encodeCursor, exactTimestampSql } = require('../lib/cursor');
+
+const PriceHistoryService = {
+  // Records the trip price a quote was built on. Rows tied to a booking are
+  // always written; otherwise only when the price differs from the last row.
+  async record(db, quote, bookingId = null) {
+    const values = [
+      quote.trip_id, bookingId, quote.base_unit_price, quote.trip_unit_price, quote.trip_currency,
+      quote.occupancy_percent, quote.days_to_departure, JSON.stringify(quote.price_adjustments),
+    ];
+
+    if (bookingId) {
+      await db.query(
+        `INSERT INTO trip_price_history
+          (trip_id, booking_id, base_price, unit_price, currency,
+           occupancy_percent, days_to_departure, adjustments)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        values
+      );
+      return;
+    }
+
+    await db.query(
+      `INSERT INTO trip_price_history
+        (trip_id, booking_id, base_price, unit_price, currency,
+         occupancy_percent, days_to_departure, adjustments)
+       SELECT $1, $2, $3, $4, $5, $6, $7, $8
+       WHERE NOT EXISTS (
+         SELECT 1 FROM (
+           SELECT base_price, unit_price, currency FROM trip_price_history
+           WHERE trip_id = $1
+           ORDER BY created_at DESC, id DESC
+           LIMIT 1
+         ) last
+         WHERE last.base_price = $3::numeric AND last.unit_price = $4::numeric AND last.currency = $5
+       )`,
+      values
+    );
+  },
+
+  // A trip's price history, newest first, keyset-paginated on (created_at, id)
+  async listForTrip(tripId, { limit = 50, cursor = null } = {}) {
+    const params = [tripId];
+    let sql = `
+      SELECT *, ${exactTimestampSql('created_at')} as cursor_created_at
+      FROM trip_price_history
+      WHERE trip_id = $1
+    `;
+    if (cursor) {
+      params.push(cursor.value, cursor.id);
+      sql += ` AND (created_at, id) < ($2::timestamptz, $3::uuid)`;
+    }
+    params.push(limit + 1);
+    sql += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length}`;
+
+    const result = await query(sql, params);
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = result.rows.length > limit
+      ? encodeCursor({ value: last.cursor_created_at, id: last.id })
+      : null;
+    const entries = rows.map(({ cursor_created_at, ...entry }) => entry);
+
+    return { entries, next_cursor: nextCursor };
+  },
+};
+
+module.exports = PriceHistoryService;
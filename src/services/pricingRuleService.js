@@ -0,0 +1,56 @@
+const { query } = require('../db/pool');
+
+const PricingRuleService = {
+  async list(filters = {}) {
+    const params = [];
+    let sql = `SELECT * FROM pricing_rules`;
+    if (filters.trip_id) {
+      params.push(filters.trip_id);
+      sql += ` WHERE trip_id = $1 OR trip_id IS NULL`;
+    }
+    sql += ` ORDER BY trip_id NULLS FIRST, priority ASC, created_at ASC`;
+    const result = await query(sql, params);
+    return result.rows;
+  },
+
+  async create(data) {
+    const {
+      trip_id = null, name, adjustment_percent,
+      min_occupancy_percent = null, max_occupancy_percent = null,
+      min_days_to_departure = null, max_days_to_departure = null,
+      priority = 0, created_by = null,
+    } = data;
+
+    const result = await query(
+      `INSERT INTO pricing_rules
+        (trip_id, name, adjustment_percent, min_occupancy_percent, max_occupancy_percent,
+         min_days_to_departure, max_days_to_departure, priority, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [trip_id, name, adjustment_percent, min_occupancy_percent, max_occupancy_percent,
+       min_days_to_departure, max_days_to_departure, priority, created_by]
+    );
+    return result.rows[0];
+  },
+
+  async setActive(ruleId, active) {
+    const result = await query(
+      `UPDATE pricing_rules SET active = $2 WHERE id = $1 RETURNING *`,
+      [ruleId, active]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Active rules for a trip, trip-specific or global, in the order they apply
+  async listActiveForTrip(tripId) {
+    const result = await query(
+      `SELECT * FROM pricing_rules
+       WHERE active AND (trip_id IS NULL OR trip_id = $1)
+       ORDER BY priority ASC, created_at ASC, id ASC`,
+      [tripId]
+    );
+    return result.rows;
+  },
+};
+
+module.exports = PricingRuleService;
@@ -0,0 +1,101 @@
+const ExchangeRateService = require('./exchangeRateService');
+const GroupDiscountService = require('./groupDiscountService');
+const PromoCodeService = require('./promoCodeService');
+const PricingRuleService = require('./pricingRuleService');
+const { toMinor, fromMinor, convertMinor } = require('../lib/money');
+const { normalizeCode, promoIneligibility, applyDiscounts } = require('../lib/discounts');
+const { pricingSignals, applyPricingRules } = require('../lib/pricingRules');
+
+const PricingService = {
+  // Price of `numSeats` seats on a trip, in the customer's currency at the current
+  // rate. The per-seat price is the trip's price moved by whichever dynamic
+  // pricing rules match its occupancy and time to departure right now. The total
+  // is converted as a whole (not seat by seat) so it never drifts from what the
+  // same seats would cost in one booking. Null if no rate is set.
+  async quote(trip, numSeats, currency = trip.currency) {
+    const rate = await ExchangeRateService.getRate(trip.currency, currency);
+    if (rate === null) return null;
+
+    const rules = await PricingRuleService.listActiveForTrip(trip.id);
+    const signals = pricingSignals(trip);
+    const baseMinor = toMinor(trip.price, trip.currency);
+    const { unitMinor: tripUnitMinor, adjustments } = applyPricingRules({
+      unitMinor: baseMinor, currency: trip.currency, rules, signals,
+    });
+
+    const tripTotalMinor = tripUnitMinor * numSeats;
+    const unitMinor = convertMinor(tripUnitMinor, trip.currency, currency, rate);
+    const totalMinor = convertMinor(tripTotalMinor, trip.currency, currency, rate);
+
+    return {
+      trip_id: trip.id,
+      currency,
+      num_seats: numSeats,
+      unit_price: fromMinor(unitMinor, currency),
+      total: fromMinor(totalMinor, currency),
+      trip_currency: trip.currency,
+      base_unit_price: fromMinor(baseMinor, trip.currency),
+      trip_unit_price: fromMinor(tripUnitMinor, trip.currency),
+      trip_total: fromMinor(tripTotalMinor, trip.currency),
+      exchange_rate: rate,
+      ...signals,
+      price_adjustments: adjustments,
+    };
+  },
+
+  // What a booking will be charged: the (dynamic) quote, less the best group discount and
+  // the promo code, if given. Runs inside the booking transaction: the promo
+  // code's row stays locked until it commits, so its redemption limits hold
+  // under concurrent bookings. Returns { error } if the booking can't be priced.
+  async priceBooking(client, { trip, num_seats, currency = trip.currency, user_id, promo_code = null }) {
+    const quote = await this.quote(trip, num_seats, currency);
+    if (!quote) {
+      return { error: `No exchange rate from ${trip.currency} to ${currency}` };
+    }
+
+    const groupRule = await GroupDiscountService.findBest(trip.id, num_seats);
+
+    let promo = null;
+    let promoAmountOffMinor = 0;
+    if (promo_code) {
+      promo = await PromoCodeService.lockByCode(client, normalizeCode(promo_code));
+      const counts = promo
+        ? await PromoCodeService.countActiveRedemptions(client, promo.id, user_id)
+        : { total: 0, byUser: 0 };
+      const reason = promoIneligibility(promo, {
+        tripId: trip.id,
+        totalRedemptions: counts.total,
+        userRedemptions: counts.byUser,
+      });
+      if (reason) {
+        return { error: reason };
+      }
+
+      if (promo.discount_type === 'FIXED') {
+        const rate = await ExchangeRateService.getRate(promo.currency, quote.currency);
+        if (rate === null) {
+          return { error: `Promo code can't be used for bookings in ${quote.currency}` };
+        }
+        promoAmountOffMinor = convertMinor(
+          toMinor(promo.amount_off, promo.currency), promo.currency, quote.currency, rate
+        );
+      }
+    }
+
+    const listMinor = toMinor(quote.total, quote.currency);
+    const { discountMinor, discounts } = applyDiscounts({
+      listMinor, currency: quote.currency, groupRule, promo, promoAmountOffMinor,
+    });
+
+    return {
+      ...quote,
+      list_price: quote.total,
+      discount_amount: fromMinor(discountMinor, quote.currency),
+      total: fromMinor(listMinor - discountMinor, quote.currency),
+      discounts,
+      promo,
+    };
+  },
+};
+
+module.exports = PricingService;
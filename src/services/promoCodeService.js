@@ -0,0 +1,111 @@
+const { query } = require('../db/pool');
+
+// Columns PATCH /promo-codes/:id may change. The code and its discount are fixed
+// once created, so bookings that used it keep meaning the same thing.
+const UPDATABLE_FIELDS = [
+  'description', 'trip_id', 'valid_from', 'valid_until',
+  'max_redemptions', 'max_redemptions_per_user', 'active',
+];
+
+const WITH_REDEMPTION_COUNT = `
+  SELECT p.*,
+         (SELECT COUNT(*) FROM promo_redemptions r
+          WHERE r.promo_code_id = p.id AND r.released_at IS NULL)::int AS redemptions
+  FROM promo_codes p
+`;
+
+const PromoCodeService = {
+  UPDATABLE_FIELDS,
+
+  async list() {
+    const result = await query(`${WITH_REDEMPTION_COUNT} ORDER BY p.created_at DESC`);
+    return result.rows;
+  },
+
+  async getById(promoId) {
+    const result = await query(`${WITH_REDEMPTION_COUNT} WHERE p.id = $1`, [promoId]);
+    return result.rows[0] || null;
+  },
+
+  async create(data) {
+    const {
+      code, description = null, discount_type, percent_off = null, amount_off = null,
+      currency = null, trip_id = null, valid_from = null, valid_until = null,
+      max_redemptions = null, max_redemptions_per_user = null, created_by = null,
+    } = data;
+
+    const result = await query(
+      `INSERT INTO promo_codes
+        (code, description, discount_type, percent_off, amount_off, currency, trip_id,
+         valid_from, valid_until, max_redemptions, max_redemptions_per_user, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [code, description, discount_type, percent_off, amount_off, currency, trip_id,
+       valid_from, valid_until, max_redemptions, max_redemptions_per_user, created_by]
+    );
+    return result.rows[0];
+  },
+
+  async update(promoId, fields) {
+    const columns = Object.keys(fields).filter(key => UPDATABLE_FIELDS.includes(key));
+    if (columns.length === 0) {
+      return this.getById(promoId);
+    }
+
+    const params = [promoId];
+    const assignments = columns.map((column) => {
+      params.push(fields[column]);
+      return `${column} = $${params.length}`;
+    });
+
+    const result = await query(
+      `UPDATE promo_codes SET ${assignments.join(', ')} WHERE id = $1 RETURNING id`,
+      params
+    );
+    return result.rows[0] ? this.getById(promoId) : null;
+  },
+
+  // Locks the code's row for the rest of the booking transaction, so concurrent
+  // bookings using the same code check and consume its limits one at a time
+  async lockByCode(client, code) {
+    const result = await client.query(
+      `SELECT * FROM promo_codes WHERE code = $1 FOR UPDATE`,
+      [code]
+    );
+    return result.rows[0] || null;
+  },
+
+  async countActiveRedemptions(client, promoId, userId) {
+    const result = await client.query(
+      `SELECT COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE user_id = $2)::int AS by_user
+       FROM promo_redemptions
+       WHERE promo_code_id = $1 AND released_at IS NULL`,
+      [promoId, userId]
+    );
+    return { total: result.rows[0].total, byUser: result.rows[0].by_user };
+  },
+
+  async redeem(client, data) {
+    const { promo_code_id, booking_id, user_id, discount_amount, currency } = data;
+
+    const result = await client.query(
+      `INSERT INTO promo_redemptions (promo_code_id, booking_id, user_id, discount_amount, currency)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [promo_code_id, booking_id, user_id, discount_amount, currency]
+    );
+    return result.rows[0];
+  },
+
+  // Gives the code back when its booking did not go ahead
+  async releaseForBooking(client, bookingId) {
+    await client.query(
+      `UPDATE promo_redemptions SET released_at = NOW()
+       WHERE booking_id = $1 AND released_at IS NULL`,
+      [bookingId]
+    );
+  },
+};
+
+module.exports = PromoCodeService;
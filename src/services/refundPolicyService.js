@@ -0,0 +1,42 @@
+const { query } = require('../db/pool');
+
+const RefundPolicyService = {
+  async list() {
+    const result = await query(`SELECT * FROM refund_policies ORDER BY name ASC`);
+    return result.rows;
+  },
+
+  async getById(policyId) {
+    const result = await query(`SELECT * FROM refund_policies WHERE id = $1`, [policyId]);
+    return result.rows[0] || null;
+  },
+
+  async create(data) {
+    const { name, description = null, tiers } = data;
+
+    const result = await query(
+      `INSERT INTO refund_policies (name, description, tiers)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name, description, JSON.stringify(tiers)]
+    );
+    return result.rows[0];
+  },
+
+  async update(policyId, data) {
+    const { name, description, tiers } = data;
+
+    const result = await query(
+      `UPDATE refund_policies
+       SET name = COALESCE($2, name),
+           description = COALESCE($3, description),
+           tiers = COALESCE($4, tiers)
+       WHERE id = $1
+       RETURNING *`,
+      [policyId, name || null, description || null, tiers ? JSON.stringify(tiers) : null]
+    );
+    return result.rows[0] || null;
+  },
+};
+
+module.exports = RefundPolicyService;
@@ -0,0 +1,227 @@
+const { pool, query, getClient } = require('../db/pool');
+const { getPaymentProvider } = require('../providers/paymentProvider');
+const logger = require('../lib/logger').logger.child({ component: 'refunds' });
+
+function getMaxAttempts() {
+  return parseInt(process.env.REFUND_MAX_ATTEMPTS, 10) || 5;
+}
+
+// How long a PROCESSING refund may go without an outcome (the worker crashed
+// mid-attempt, or the provider accepted it and its webhook never came) before
+// it is due again. Resending is safe: the refund id is the provider's
+// idempotency key.
+function getProcessingTimeoutMinutes() {
+  return parseInt(process.env.REFUND_PROCESSING_TIMEOUT_MINUTES, 10) || 30;
+}
+
+// Due: never sent, a failure whose backoff has elapsed, or a PROCESSING lease that ran out
+function isDue(refund, now = new Date()) {
+  const elapsed = refund.next_attempt_at && new Date(refund.next_attempt_at) <= now;
+  return refund.state === 'REQUESTED'
+    || ((refund.state === 'FAILED' || refund.state === 'PROCESSING') && Boolean(elapsed));
+}
+
+const RefundService = {
+  // Records a refund owed on a booking. Runs inside the caller's cancellation
+  // transaction; the provider is only called after that commits (see process()).
+  async request(client, data) {
+    const { booking_id, amount, reason = null } = data;
+
+    const result = await client.query(
+      `INSERT INTO refunds (booking_id, amount, reason)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [booking_id, amount, reason]
+    );
+    return result.rows[0];
+  },
+
+  async getById(refundId) {
+    const result = await query(`SELECT * FROM refunds WHERE id = $1`, [refundId]);
+    return result.rows[0] || null;
+  },
+
+  async getByIdForUpdate(client, refundId) {
+    const result = await client.query(`SELECT * FROM refunds WHERE id = $1 FOR UPDATE`, [refundId]);
+    return result.rows[0] || null;
+  },
+
+  async getByBookingId(bookingId) {
+    const result = await query(
+      `SELECT * FROM refunds WHERE booking_id = $1 ORDER BY created_at ASC`,
+      [bookingId]
+    );
+    return result.rows;
+  },
+
+  // The refund for the booking's cancellation itself, as opposed to refunds for
+  // seats released earlier (those are linked from booking_seat_adjustments)
+  async getCancellationRefund(bookingId) {
+    const result = await query(
+      `SELECT r.* FROM refunds r
+       WHERE r.booking_id = $1
+         AND NOT EXISTS (SELECT 1 FROM booking_seat_adjustments a WHERE a.refund_id = r.id)
+       ORDER BY r.created_at DESC
+       LIMIT 1`,
+      [bookingId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Refunds waiting for a first attempt, due for a retry, or stuck in PROCESSING
+  async findDue() {
+    const result = await query(
+      `SELECT id FROM refunds
+       WHERE state = 'REQUESTED'
+          OR (state IN ('FAILED', 'PROCESSING') AND next_attempt_at IS NOT NULL AND next_attempt_at <= NOW())
+       ORDER BY created_at ASC`
+    );
+    return result.rows.map(r => r.id);
+  },
+
+  // Moves a due refund to PROCESSING under a row lock so only one worker calls
+  // the provider for it, leased for REFUND_PROCESSING_TIMEOUT_MINUTES (in
+  // next_attempt_at). Returns null if someone else already claimed it, or if a
+  // stale refund has used up its attempts (it is then left FAILED).
+  async claim(refundId) {
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(
+        `SELECT r.*, b.payment_reference, b.currency
+         FROM refunds r
+         JOIN bookings b ON b.id = r.booking_id
+         WHERE r.id = $1
+         FOR UPDATE OF r`,
+        [refundId]
+      );
+      const refund = locked.rows[0];
+
+      if (!refund || !isDue(refund)) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (refund.state === 'PROCESSING' && refund.attempts >= getMaxAttempts()) {
+        await client.query(
+          `UPDATE refunds
+           SET state = 'FAILED', last_error = 'No outcome from the provider', next_attempt_at = NULL
+           WHERE id = $1`,
+          [refundId]
+        );
+        await client.query('COMMIT');
+        logger.error('Refund gave up', {
+          refund_id: refundId, booking_id: refund.booking_id, attempts: refund.attempts,
+        });
+        return null;
+      }
+      if (refund.state === 'PROCESSING') {
+        logger.warn('Refund stuck in PROCESSING, sending again', {
+          refund_id: refundId, booking_id: refund.booking_id, attempts: refund.attempts,
+        });
+      }
+
+      const result = await client.query(
+        `UPDATE refunds
+         SET state = 'PROCESSING', attempts = attempts + 1,
+             next_attempt_at = NOW() + $2 * INTERVAL '1 minute'
+         WHERE id = $1
+         RETURNING *`,
+        [refundId, getProcessingTimeoutMinutes()]
+      );
+
+      await client.query('COMMIT');
+      return { ...result.rows[0], payment_reference: refund.payment_reference, currency: refund.currency };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Sends one attempt for a refund to the payment provider
+  async process(refundId) {
+    const refund = await this.claim(refundId);
+    if (!refund) return null;
+
+    let outcome;
+    try {
+      outcome = await getPaymentProvider().refund({
+        refund_id: refund.id,
+        booking_id: refund.booking_id,
+        payment_reference: refund.payment_reference,
+        amount: parseFloat(refund.amount),
+        currency: refund.currency,
+      });
+    } catch (err) {
+      logger.error('Refund attempt failed', {
+        refund_id: refund.id, booking_id: refund.booking_id, attempt: refund.attempts, err,
+      });
+      return this.markFailed(refund.id, err.message);
+    }
+
+    if (outcome.status === 'SUCCEEDED') {
+      return this.markSucceeded(refund.id, outcome.provider_reference);
+    }
+
+    // Accepted but not settled yet; the refund webhook finishes it, and if it
+    // never comes the lease runs out and the refund is sent again
+    const result = await query(
+      `UPDATE refunds
+       SET provider_reference = $2, next_attempt_at = NOW() + $3 * INTERVAL '1 minute'
+       WHERE id = $1 AND state = 'PROCESSING'
+       RETURNING *`,
+      [refund.id, outcome.provider_reference, getProcessingTimeoutMinutes()]
+    );
+    return result.rows[0] || null;
+  },
+
+  // markSucceeded and markFailed run in the caller's transaction when given a
+  // client (the refund webhook), otherwise on their own
+  async markSucceeded(refundId, providerReference, client = pool) {
+    const result = await client.query(
+      `UPDATE refunds
+       SET state = 'SUCCEEDED',
+           provider_reference = COALESCE($2, provider_reference),
+           last_error = NULL,
+           next_attempt_at = NULL,
+           settled_at = NOW()
+       WHERE id = $1 AND state = 'PROCESSING'
+       RETURNING *`,
+      [refundId, providerReference]
+    );
+    if (result.rows[0]) {
+      logger.info('Refund succeeded', { refund_id: refundId, booking_id: result.rows[0].booking_id });
+    }
+    return result.rows[0] || null;
+  },
+
+  // Schedules a retry with exponential backoff (1, 2, 4... minutes after each
+  // failed attempt), or leaves the refund FAILED for good (next_attempt_at NULL)
+  // once REFUND_MAX_ATTEMPTS is reached.
+  async markFailed(refundId, errorMessage, client = pool) {
+    const result = await client.query(
+      `UPDATE refunds
+       SET state = 'FAILED',
+           last_error = $2,
+           next_attempt_at = CASE
+             WHEN attempts < $3 THEN NOW() + POWER(2, GREATEST(attempts - 1, 0)) * INTERVAL '1 minute'
+             ELSE NULL
+           END
+       WHERE id = $1 AND state = 'PROCESSING'
+       RETURNING *`,
+      [refundId, errorMessage, getMaxAttempts()]
+    );
+    const failed = result.rows[0];
+    if (failed && !failed.next_attempt_at) {
+      logger.error('Refund gave up', {
+        refund_id: refundId, booking_id: failed.booking_id, attempts: failed.attempts,
+      });
+    }
+    return failed || null;
+  },
+};
+
+module.exports = RefundService;
@@ -0,0 +1,131 @@
+const { query } = require('../db/pool');
+const { REVENUE_COLUMNS, REVENUE_REFUNDS_JOIN } = require('./bookingService');
+
+// Booked seats count both confirmed and still-pending bookings, as on the trip metrics
+const BOOKED_SEATS = `COALESCE(SUM(b.num_seats) FILTER (WHERE b.state IN ('CONFIRMED', 'PENDING_PAYMENT')), 0)`;
+
+// SQL for each report grouping: key and label of the trip's group
+const GROUP_COLUMNS = {
+  destination: { key: 't.destination', label: 't.destination' },
+  month: {
+    key: `to_char(t.start_date AT TIME ZONE 'UTC', 'YYYY-MM')`,
+    label: `to_char(t.start_date AT TIME ZONE 'UTC', 'YYYY-MM')`,
+  },
+  trip: { key: 't.id::text', label: 't.title' },
+};
+
+// Bounds a timestamp column by an optional { from, to }
+function dateRange(column, { from, to }, params) {
+  let sql = '';
+  if (from) {
+    params.push(from);
+    sql += ` AND ${column} >= $${params.length}`;
+  }
+  if (to) {
+    params.push(to);
+    sql += ` AND ${column} <= $${params.length}`;
+  }
+  return sql;
+}
+
+// Aggregates for the admin reports. Read-only; the money arithmetic lives in
+// lib/revenue.js.
+const ReportService = {
+  // Published trips departing in [from, to], soonest first, with their booked seats
+  async listDeparting({ from, to }) {
+    const result = await query(
+      `SELECT t.id, t.title, t.start_date, t.max_capacity, t.available_seats,
+              ${BOOKED_SEATS} AS booked_seats
+       FROM trips t
+       LEFT JOIN bookings b ON b.trip_id = t.id
+       WHERE t.status = 'PUBLISHED'
+         AND t.start_date > NOW()
+         AND t.start_date >= $1
+         AND t.start_date <= $2
+       GROUP BY t.id
+       ORDER BY t.start_date ASC`,
+      [from, to]
+    );
+    return result.rows;
+  },
+
+  // Trips (other than drafts) departing in the range, in order of departure:
+  // [{ trip, booked_seats, revenue }], revenue being the trip's bookings grouped
+  // by currency and locked rate, as BookingService.getTripRevenueByRate
+  async tripRevenue(range = {}) {
+    const params = [];
+    const result = await query(
+      `SELECT t.id, t.title, t.destination, t.start_date, t.currency AS trip_currency, t.max_capacity,
+              b.currency, b.exchange_rate,
+              ${BOOKED_SEATS} AS booked_seats,
+              ${REVENUE_COLUMNS}
+       FROM trips t
+       LEFT JOIN bookings b ON b.trip_id = t.id
+       ${REVENUE_REFUNDS_JOIN}
+       WHERE t.status <> 'DRAFT'${dateRange('t.start_date', range, params)}
+       GROUP BY t.id, b.currency, b.exchange_rate
+       ORDER BY t.start_date ASC, t.id ASC`,
+      params
+    );
+
+    const trips = new Map();
+    for (const row of result.rows) {
+      let entry = trips.get(row.id);
+      if (!entry) {
+        entry = {
+          trip: {
+            id: row.id,
+            title: row.title,
+            destination: row.destination,
+            start_date: row.start_date,
+            currency: row.trip_currency,
+            max_capacity: row.max_capacity,
+          },
+          booked_seats: 0,
+          revenue: [],
+        };
+        trips.set(row.id, entry);
+      }
+      entry.booked_seats += parseInt(row.booked_seats, 10) || 0;
+      // A trip without bookings still comes back once, with no currency
+      if (row.currency) {
+        entry.revenue.push(row);
+      }
+    }
+    return [...trips.values()];
+  },
+
+  // Bookings created in the range by outcome, per group of their trip (or
+  // overall without groupBy), in order of first departure. A booking counts as
+  // confirmed if it was ever paid for, even if later cancelled.
+  async bookingConversion(range = {}, groupBy = null) {
+    const params = [];
+    const group = groupBy ? GROUP_COLUMNS[groupBy] : { key: `'all'`, label: `'All trips'` };
+    const result = await query(
+      `SELECT ${group.key} AS key, ${group.label} AS label,
+              COUNT(*) AS created,
+              COUNT(*) FILTER (WHERE b.payment_reference IS NOT NULL) AS confirmed,
+              COUNT(*) FILTER (WHERE b.state = 'EXPIRED') AS expired,
+              COUNT(*) FILTER (WHERE b.state = 'CANCELLED' AND b.payment_reference IS NULL) AS cancelled_unpaid,
+              COUNT(*) FILTER (WHERE b.state = 'PENDING_PAYMENT') AS pending_payment
+       FROM bookings b
+       JOIN trips t ON t.id = b.trip_id
+       WHERE TRUE${dateRange('b.created_at', range, params)}
+       GROUP BY 1, 2
+       ORDER BY MIN(t.start_date) ASC, 1 ASC`,
+      params
+    );
+
+    return result.rows.map(row => ({
+      key: row.key,
+      label: row.label,
+      created: parseInt(row.created, 10),
+      confirmed: parseInt(row.confirmed, 10),
+      expired: parseInt(row.expired, 10),
+      cancelled_unpaid: parseInt(row.cancelled_unpaid, 10),
+      pending_payment: parseInt(row.pending_payment, 10),
+    }));
+  },
+};
+
+module.exports = ReportService;
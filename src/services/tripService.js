@@ -1,34 +1,112 @@
 const { query } = require('../db/pool');
+const { encodeCursor } = require('../lib/cursor');
+const EventService = require('./eventService');
+
+const STATUS_EVENTS = {
+  PUBLISHED: 'trip.published',
+  DRAFT: 'trip.unpublished',
+  CANCELLED: 'trip.cancelled',
+};
+
+function tripEvent(type, trip, payload) {
+  return { type, aggregate_type: 'trip', aggregate_id: trip.id, payload: { trip_id: trip.id, ...payload } };
+}
+
+// Sortable columns for listPublished, with the SQL type used to compare cursor values
+const SORT_COLUMNS = {
+  price: { name: 'price', type: 'numeric', serialize: v => String(v) },
+  date: { name: 'start_date', type: 'timestamptz', serialize: v => new Date(v).toISOString() },
+  availability: { name: 'available_seats', type: 'integer', serialize: v => String(v) },
+};
 
 const TripService = {
+  // Columns that PATCH /trips/:tripId may change; status has its own transitions
+  UPDATABLE_FIELDS: [
+    'title', 'destination', 'start_date', 'end_date', 'price', 'max_capacity',
+    'refundable_until_days_before', 'cancellation_fee_percent',
+    'refund_policy_id', 'refund_tiers', 'partner_id',
+  ],
+
+  SORT_FIELDS: Object.keys(SORT_COLUMNS),
+
+  // Published trips matching the search, keyset-paginated on (sort column, id)
+  // so pages stay stable while trips are added or seats change.
   async listPublished(filters = {}) {
+    const {
+      sort = 'date', order = 'asc', limit = 20, cursor = null,
+    } = filters;
+    const sortColumn = SORT_COLUMNS[sort];
+
     let sql = `
-      SELECT id, title, destination, start_date, end_date, price,
+      SELECT id, title, destination, start_date, end_date, price, currency,
              max_capacity, available_seats, status,
              refundable_until_days_before, cancellation_fee_percent,
-             created_at, updated_at
+             refund_policy_id, refund_tiers,
+             cancelled_at, created_at, updated_at
       FROM trips
       WHERE status = 'PUBLISHED'
     `;
     const params = [];
+    const addCondition = (condition, value) => {
+      params.push(value);
+      sql += ` AND ${condition.replace('?', `$${params.length}`)}`;
+    };
 
     if (filters.destination) {
-      params.push(`%${filters.destination}%`);
-      sql += ` AND destination ILIKE $${params.length}`;
+      addCondition('destination ILIKE ?', `%${filters.destination}%`);
+    }
+    if (filters.from) {
+      addCondition('start_date >= ?', filters.from);
+    }
+    if (filters.to) {
+      addCondition('end_date <= ?', filters.to);
+    }
+    if (filters.currency) {
+      addCondition('currency = ?', filters.currency);
+    }
+    if (filters.min_price !== undefined) {
+      addCondition('price >= ?', filters.min_price);
+    }
+    if (filters.max_price !== undefined) {
+      addCondition('price <= ?', filters.max_price);
+    }
+    if (filters.min_seats !== undefined) {
+      addCondition('available_seats >= ?', filters.min_seats);
+    }
+    if (filters.min_duration_days !== undefined) {
+      addCondition(`end_date - start_date >= ? * INTERVAL '1 day'`, filters.min_duration_days);
+    }
+    if (filters.max_duration_days !== undefined) {
+      addCondition(`end_date - start_date <= ? * INTERVAL '1 day'`, filters.max_duration_days);
     }
 
-    sql += ` ORDER BY start_date ASC`;
+    if (cursor) {
+      params.push(cursor.value, cursor.id);
+      const op = order === 'desc' ? '<' : '>';
+      sql += ` AND (${sortColumn.name}, id) ${op} ($${params.length - 1}::${sortColumn.type}, $${params.length}::uuid)`;
+    }
+
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    params.push(limit + 1);
+    sql += ` ORDER BY ${sortColumn.name} ${direction}, id ${direction} LIMIT $${params.length}`;
 
     const result = await query(sql, params);
-    return result.rows;
+    const trips = result.rows.slice(0, limit);
+    const last = trips[trips.length - 1];
+    const nextCursor = result.rows.length > limit
+      ? encodeCursor({ sort, order, value: sortColumn.serialize(last[sortColumn.name]), id: last.id })
+      : null;
+
+    return { trips, next_cursor: nextCursor };
   },
 
   async getById(tripId) {
     const result = await query(
-      `SELECT id, title, destination, start_date, end_date, price,
+      `SELECT id, title, destination, start_date, end_date, price, currency,
               max_capacity, available_seats, status,
               refundable_until_days_before, cancellation_fee_percent,
-              created_at, updated_at
+              refund_policy_id, refund_tiers, partner_id,
+              cancelled_at, created_at, updated_at
        FROM trips
        WHERE id = $1`,
       [tripId]
@@ -36,26 +114,88 @@ const TripService = {
     return result.rows[0] || null;
   },
 
-  async create(data) {
+  async create(client, data) {
     const {
-      title, destination, start_date, end_date, price,
+      title, destination, start_date, end_date, price, currency = 'EUR',
       max_capacity, status = 'DRAFT',
       refundable_until_days_before = 7,
       cancellation_fee_percent = 10,
+      refund_policy_id = null,
+      refund_tiers = null,
+      partner_id = null,
     } = data;
 
-    const result = await query(
+    const result = await client.query(
       `INSERT INTO trips 
         (title, destination, start_date, end_date, price,
          max_capacity, available_seats, status,
-         refundable_until_days_before, cancellation_fee_percent)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+         refundable_until_days_before, cancellation_fee_percent,
+         refund_policy_id, refund_tiers, currency, partner_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
        RETURNING *`,
       [title, destination, start_date, end_date, price,
        max_capacity, max_capacity, status,
-       refundable_until_days_before, cancellation_fee_percent]
+       refundable_until_days_before, cancellation_fee_percent,
+       refund_policy_id, refund_tiers ? JSON.stringify(refund_tiers) : null, currency, partner_id]
+    );
+    const trip = result.rows[0];
+    await EventService.record(client, tripEvent('trip.created', trip, {
+      title: trip.title,
+      status: trip.status,
+      start_date: trip.start_date,
+      max_capacity: trip.max_capacity,
+    }));
+    return trip;
+  },
+
+  // Applies a partial update. Changing max_capacity shifts available_seats by
+  // the same delta so already-booked seats stay booked.
+  async update(client, tripId, fields) {
+    const columns = Object.keys(fields).filter(c => this.UPDATABLE_FIELDS.includes(c));
+    if (columns.length === 0) {
+      return this.getByIdForUpdate(client, tripId);
+    }
+
+    const params = [tripId];
+    const assignments = columns.map(column => {
+      // pg would send a JS array as a Postgres array, not JSON
+      const value = column === 'refund_tiers' && fields[column] !== null
+        ? JSON.stringify(fields[column])
+        : fields[column];
+      params.push(value);
+      return `${column} = $${params.length}`;
+    });
+
+    if (columns.includes('max_capacity')) {
+      const capacityParam = columns.indexOf('max_capacity') + 2;
+      assignments.push(`available_seats = available_seats + ($${capacityParam} - max_capacity)`);
+    }
+
+    const result = await client.query(
+      `UPDATE trips SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      params
+    );
+    const trip = result.rows[0];
+    if (!trip) return null;
+    const changes = {};
+    for (const column of columns) changes[column] = trip[column];
+    await EventService.record(client, tripEvent('trip.updated', trip, { changes }));
+    return trip;
+  },
+
+  async setStatus(client, tripId, status) {
+    const result = await client.query(
+      `UPDATE trips
+       SET status = $2::trip_status,
+           cancelled_at = CASE WHEN $2::trip_status = 'CANCELLED' THEN NOW() ELSE cancelled_at END
+       WHERE id = $1
+       RETURNING *`,
+      [tripId, status]
     );
-    return result.rows[0];
+    const trip = result.rows[0];
+    if (!trip) return null;
+    await EventService.record(client, tripEvent(STATUS_EVENTS[status], trip, { status }));
+    return trip;
   },
 
   async getByIdForUpdate(client, tripId) {
@@ -77,13 +217,23 @@ const TripService = {
     return result.rowCount > 0;
   },
 
-  async incrementSeats(client, tripId, numSeats) {
-    await client.query(
+  // context describes why, e.g. { booking_id, reason: 'cancelled' }, and is
+  // passed through to the trip.seats_released event
+  async incrementSeats(client, tripId, numSeats, context = {}) {
+    const result = await client.query(
       `UPDATE trips
        SET available_seats = LEAST(available_seats + $2, max_capacity)
-       WHERE id = $1`,
+       WHERE id = $1
+       RETURNING id, available_seats`,
       [tripId, numSeats]
     );
+    if (result.rows[0]) {
+      await EventService.record(client, tripEvent('trip.seats_released', result.rows[0], {
+        seats: numSeats,
+        available_seats: result.rows[0].available_seats,
+        ...context,
+      }));
+    }
   },
 };
 
@@ -0,0 +1,132 @@
+const { query } = require('../db/pool');
+const BookingService = require('./bookingService');
+const TripService = require('./tripService');
+const PricingService = require('./pricingService');
+const PaymentSessionService = require('./paymentSessionService');
+const PriceHistoryService = require('./priceHistoryService');
+const BookingHistoryService = require('./bookingHistoryService');
+const logger = require('../lib/logger').logger.child({ component: 'waitlist' });
+
+const WaitlistService = {
+  async join(data) {
+    const { trip_id, user_id, num_seats, contact_email = null, currency = null } = data;
+
+    const result = await query(
+      `INSERT INTO waitlist_entries (trip_id, user_id, num_seats, contact_email, currency)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [trip_id, user_id, num_seats, contact_email, currency]
+    );
+    return result.rows[0];
+  },
+
+  async leave(tripId, userId) {
+    const result = await query(
+      `UPDATE waitlist_entries
+       SET state = 'LEFT'
+       WHERE trip_id = $1 AND user_id = $2 AND state = 'WAITING'
+       RETURNING *`,
+      [tripId, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Latest entry for the user on this trip, with its 1-based FIFO position while waiting
+  async getForUser(tripId, userId) {
+    const result = await query(
+      `SELECT w.*,
+              CASE WHEN w.state = 'WAITING' THEN (
+                SELECT COUNT(*) FROM waitlist_entries ahead
+                WHERE ahead.trip_id = w.trip_id
+                  AND ahead.state = 'WAITING'
+                  AND (ahead.created_at, ahead.id) <= (w.created_at, w.id)
+              ) END AS position
+       FROM waitlist_entries w
+       WHERE w.trip_id = $1 AND w.user_id = $2
+       ORDER BY w.created_at DESC
+       LIMIT 1`,
+      [tripId, userId]
+    );
+    const entry = result.rows[0];
+    if (!entry) return null;
+    return { ...entry, position: entry.position === null ? null : parseInt(entry.position, 10) };
+  },
+
+  // Hands released seats to waiting users in FIFO order. Entries asking for more
+  // seats than are free are skipped (they keep their place) so smaller requests
+  // behind them are not blocked. Each offer is a PENDING_PAYMENT booking with
+  // its own expiry window. Must run in the same transaction that released the seats.
+  async offerReleasedSeats(client, tripId) {
+    const trip = await TripService.getByIdForUpdate(client, tripId);
+    if (!trip || trip.status !== 'PUBLISHED' || trip.available_seats === 0) {
+      return [];
+    }
+
+    const waiting = await client.query(
+      `SELECT * FROM waitlist_entries
+       WHERE trip_id = $1 AND state = 'WAITING' AND num_seats <= $2
+       ORDER BY created_at ASC, id ASC
+       FOR UPDATE SKIP LOCKED`,
+      [tripId, trip.available_seats]
+    );
+
+    const offerMinutes = parseInt(process.env.WAITLIST_OFFER_EXPIRY_MINUTES, 10) || 30;
+    let availableSeats = trip.available_seats;
+    const offers = [];
+
+    for (const entry of waiting.rows) {
+      if (entry.num_seats > availableSeats) continue;
+
+      // Priced (dynamic rules and group discounts included) as of the offer, at
+      // that day's rate; if the rate to the currency they asked for has been
+      // removed since, offer in the trip's own
+      const priceFor = currency => PricingService.priceBooking(client, {
+        trip: { ...trip, available_seats: availableSeats }, num_seats: entry.num_seats, currency, user_id: entry.user_id,
+      });
+      let pricing = entry.currency ? await priceFor(entry.currency) : { error: true };
+      if (pricing.error) {
+        pricing = await priceFor(trip.currency);
+      }
+
+      const decremented = await TripService.decrementSeats(client, tripId, entry.num_seats);
+      if (!decremented) break;
+      availableSeats -= entry.num_seats;
+
+      const booking = await BookingService.create(client, {
+        trip_id: tripId,
+        user_id: entry.user_id,
+        num_seats: entry.num_seats,
+        price_at_booking: pricing.total,
+        list_price: pricing.list_price,
+        discount_amount: pricing.discount_amount,
+        discounts: pricing.discounts,
+        price_adjustments: pricing.price_adjustments,
+        currency: pricing.currency,
+        exchange_rate: pricing.exchange_rate,
+        idempotency_key: `waitlist-${entry.id}`,
+        expires_at: new Date(Date.now() + offerMinutes * 60 * 1000),
+        contact_email: entry.contact_email,
+      }, { actor: BookingHistoryService.SYSTEM_ACTOR, reason: 'waitlist_offer' });
+      await PaymentSessionService.open(client, booking.id);
+      await PriceHistoryService.record(client, pricing, booking.id);
+
+      await client.query(
+        `UPDATE waitlist_entries
+         SET state = 'OFFERED', booking_id = $2, offered_at = NOW()
+         WHERE id = $1`,
+        [entry.id, booking.id]
+      );
+
+      logger.info('Waitlist entry offered booking', {
+        waitlist_entry_id: entry.id, booking_id: booking.id, trip_id: tripId, seats: entry.num_seats,
+      });
+      offers.push({ entry_id: entry.id, booking });
+
+      if (availableSeats === 0) break;
+    }
+
+    return offers;
+  },
+};
+
+module.exports = WaitlistService;
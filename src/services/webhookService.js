@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { query } = require('../db/pool');
+const { computeSignature, SIGNATURE_HEADER } = require('../middleware/verifyWebhookSignature');
+const { checkPublicUrl } = require('../lib/publicUrl');
+const logger = require('../lib/logger').logger.child({ component: 'webhooks' });
+
+// Event types partners can subscribe to
+const SUBSCRIBABLE_EVENTS = [
+  'booking.created',
+  'booking.confirmed',
+  'booking.cancelled',
+  'booking.expired',
+  'booking.seats_released',
+  'booking.payment_failed',
+  'booking.hold_extended',
+  'booking.transferred',
+];
+
+function getMaxAttempts() {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+}
+
+function getRetryBaseSeconds() {
+  return parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+}
+
+function getTimeoutMs() {
+  return parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+}
+
+// Subscription URLs must be public. WEBHOOK_ALLOW_PRIVATE_URLS=true lifts that
+// for local development (e.g. the stand-in receiver); never in production.
+async function checkUrl(url) {
+  const allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+    && process.env.NODE_ENV !== 'production';
+  return allowPrivate ? null : checkPublicUrl(url);
+}
+
+// Subscription as shown to API clients: the secret is only returned on creation
+function toPublic(subscription) {
+  if (!subscription) return null;
+  const { secret, ...rest } = subscription;
+  return rest;
+}
+
+const WebhookService = {
+  SUBSCRIBABLE_EVENTS,
+
+  toPublic,
+
+  checkUrl,
+
+  // partner_id limits the subscription to that partner's trips and bookings;
+  // null (admins) receives every event
+  async createSubscription(data) {
+    const { owner_id, partner_id = null, url, event_types, trip_id = null } = data;
+    const secret = data.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+    const result = await query(
+      `INSERT INTO webhook_subscriptions (owner_id, partner_id, url, secret, event_types, trip_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [owner_id, partner_id, url, secret, event_types, trip_id]
+    );
+    return result.rows[0];
+  },
+
+  // ownerId null lists every subscription (admins)
+  async listSubscriptions(ownerId) {
+    const result = ownerId
+      ? await query(
+        `SELECT * FROM webhook_subscriptions WHERE owner_id = $1 AND active ORDER BY created_at DESC`,
+        [ownerId]
+      )
+      : await query(`SELECT * FROM webhook_subscriptions WHERE active ORDER BY created_at DESC`);
+    return result.rows.map(toPublic);
+  },
+
+  async getSubscription(subscriptionId) {
+    const result = await query(`SELECT * FROM webhook_subscriptions WHERE id = $1`, [subscriptionId]);
+    return result.rows[0] || null;
+  },
+
+  // Soft delete: pending deliveries stop, the delivery log stays readable
+  async deactivateSubscription(subscriptionId) {
+    const result = await query(
+      `UPDATE webhook_subscriptions SET active = FALSE
+       WHERE id = $1 AND active
+       RETURNING *`,
+      [subscriptionId]
+    );
+    return toPublic(result.rows[0]);
+  },
+
+  // Fans a domain event out to every matching active subscription. Safe to call
+  // more than once for the same event: each (subscription, event) is queued once.
+  // A partner's subscription matches only when the booking is theirs or is on
+  // one of their trips (for a transfer, either the old or the new trip).
+  async enqueueForEvent(event) {
+    const { trip_id = null, from_trip_id = null, user_id = null } = event.payload;
+    const result = await query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type)
+       SELECT s.id, $1, $2
+       FROM webhook_subscriptions s
+       WHERE s.active
+         AND $2 = ANY(s.event_types)
+         AND (s.trip_id IS NULL OR s.trip_id = $3)
+         AND (
+           s.partner_id IS NULL
+           OR s.partner_id = $5
+           OR EXISTS (
+             SELECT 1 FROM trips t
+             WHERE t.id IN ($3, $4) AND t.partner_id = s.partner_id
+           )
+         )
+       ON CONFLICT (subscription_id, event_id) DO NOTHING`,
+      [event.id, event.event_type, trip_id, from_trip_id, user_id]
+    );
+    return result.rowCount;
+  },
+
+  async listDeliveries(subscriptionId, limit = 50) {
+    const result = await query(
+      `SELECT id, subscription_id, event_id, event_type, state, attempts,
+              next_attempt_at, last_status_code, last_error, delivered_at, created_at, updated_at
+       FROM webhook_deliveries
+       WHERE subscription_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [subscriptionId, limit]
+    );
+    return result.rows;
+  },
+
+  async getDelivery(subscriptionId, deliveryId) {
+    const result = await query(
+      `SELECT * FROM webhook_deliveries WHERE id = $1 AND subscription_id = $2`,
+      [deliveryId, subscriptionId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Puts a DEAD delivery back in the queue
+  async redeliver(deliveryId) {
+    const result = await query(
+      `UPDATE webhook_deliveries
+       SET state = 'PENDING', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+       WHERE id = $1 AND state = 'DEAD'
+       RETURNING *`,
+      [deliveryId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Claims due deliveries for this worker. Claimed rows get next_attempt_at pushed
+  // out by a lease, so another instance won't pick them up while they're in flight.
+  // The batch is sent one delivery at a time, so the lease lasts until every one
+  // of them could have timed out.
+  async claimDue(limit) {
+    const leaseSeconds = Math.ceil((limit * getTimeoutMs()) / 1000) + 30;
+    const result = await query(
+      `UPDATE webhook_deliveries d
+       SET next_attempt_at = NOW() + $2 * INTERVAL '1 second'
+       FROM (
+         SELECT id FROM webhook_deliveries
+         WHERE state = 'PENDING' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       ) due, webhook_subscriptions s, domain_events e
+       WHERE d.id = due.id AND s.id = d.subscription_id AND e.id = d.event_id
+       RETURNING d.*, s.url, s.secret, s.active, e.payload, e.created_at AS event_created_at`,
+      [limit, leaseSeconds]
+    );
+    return result.rows;
+  },
+
+  // Sends one delivery attempt and records the outcome
+  async attempt(delivery) {
+    if (!delivery.active) {
+      return this.recordOutcome(delivery, { dead: true, error: 'Subscription was deleted' });
+    }
+
+    // Checked again on every attempt: the host may since resolve somewhere internal
+    const urlError = await checkUrl(delivery.url);
+    if (urlError) {
+      return this.recordOutcome(delivery, { error: urlError });
+    }
+
+    const body = JSON.stringify({
+      id: delivery.id,
+      event_id: parseInt(delivery.event_id, 10),
+      type: delivery.event_type,
+      created_at: delivery.event_created_at,
+      data: delivery.payload,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let statusCode = null;
+    let error = null;
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'GoTyolo-Webhooks/1.0',
+          'X-GoTyolo-Event': delivery.event_type,
+          'X-GoTyolo-Delivery': delivery.id,
+          [SIGNATURE_HEADER]: `t=${timestamp},v1=${computeSignature(delivery.secret, timestamp, body)}`,
+        },
+        body,
+        // A redirect could lead to an internal host; it counts as a failed attempt
+        redirect: 'manual',
+        signal: AbortSignal.timeout(getTimeoutMs()),
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        error = `Endpoint responded ${response.status}`;
+      }
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${getTimeoutMs()}ms` : err.message;
+    }
+
+    return this.recordOutcome(delivery, { statusCode, error });
+  },
+
+  async recordOutcome(delivery, { statusCode = null, error = null, dead = false }) {
+    if (!error) {
+      const result = await query(
+        `UPDATE webhook_deliveries
+         SET state = 'SUCCEEDED', attempts = attempts + 1, last_status_code = $2,
+             last_error = NULL, delivered_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [delivery.id, statusCode]
+      );
+      return result.rows[0];
+    }
+
+    // Exponential backoff: base, 2x base, 4x base... then dead-letter
+    const result = await query(
+      `UPDATE webhook_deliveries
+       SET attempts = attempts + 1,
+           last_status_code = $2,
+           last_error = $3,
+           state = CASE WHEN $4 OR attempts + 1 >= $5 THEN 'DEAD'::webhook_delivery_state ELSE 'PENDING' END,
+           next_attempt_at = NOW() + POWER(2, attempts) * $6 * INTERVAL '1 second'
+       WHERE id = $1
+       RETURNING *`,
+      [delivery.id, statusCode, error, dead, getMaxAttempts(), getRetryBaseSeconds()]
+    );
+    const updated = result.rows[0];
+    if (updated.state === 'DEAD') {
+      logger.error('Delivery dead-lettered', {
+        delivery_id: delivery.id, subscription_id: delivery.subscription_id,
+        attempts: updated.attempts, error,
+      });
+    }
+    return updated;
+  },
+};
+
+module.exports = WebhookService;
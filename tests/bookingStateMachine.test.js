@@ -0,0 +1,114 @@
+const {
+  BOOKING_STATES,
+  TERMINAL_STATES,
+  BOOKING_TRANSITIONS,
+  TRANSITION_ERRORS,
+  allowedFrom,
+  canTransition,
+  checkTransition,
+  rejectTransition,
+} = require('../src/lib/bookingStateMachine');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const ACTIVE_HOLD = new Date('2026-03-01T12:10:00Z');
+const LAPSED_HOLD = new Date('2026-03-01T11:50:00Z');
+
+function booking(state, expiresAt = ACTIVE_HOLD) {
+  return { id: '6f1c2b7e-0000-4000-8000-000000000001', state, expires_at: expiresAt };
+}
+
+const ACTIONS = Object.keys(BOOKING_TRANSITIONS);
+const ALL_PAIRS = ACTIONS.flatMap(action => BOOKING_STATES.map(state => [action, state]));
+const ILLEGAL = ALL_PAIRS.filter(([action, state]) => !BOOKING_TRANSITIONS[action].from.includes(state));
+const LEGAL = ALL_PAIRS.filter(([action, state]) => BOOKING_TRANSITIONS[action].from.includes(state));
+
+describe('booking state machine', () => {
+  test('every transition starts from known, non-terminal states and ends in a known state', () => {
+    for (const transition of Object.values(BOOKING_TRANSITIONS)) {
+      expect(transition.from.length).toBeGreaterThan(0);
+      for (const state of transition.from) {
+        expect(BOOKING_STATES).toContain(state);
+        expect(TERMINAL_STATES).not.toContain(state);
+      }
+      if (transition.to !== null) {
+        expect(BOOKING_STATES).toContain(transition.to);
+      }
+    }
+  });
+
+  test('the tables below cover every (action, state) pair', () => {
+    expect(ILLEGAL.length + LEGAL.length).toBe(ACTIONS.length * BOOKING_STATES.length);
+    expect(ILLEGAL.length).toBeGreaterThan(0);
+  });
+
+  describe.each(ILLEGAL)('%s from %s is rejected', (action, state) => {
+    const rejection = checkTransition(booking(state), action, NOW);
+
+    test('with the common 409 payload', () => {
+      expect(rejection).toEqual({
+        error: expect.any(String),
+        code: TERMINAL_STATES.includes(state) ? TRANSITION_ERRORS.TERMINAL : TRANSITION_ERRORS.ILLEGAL,
+        booking_id: booking(state).id,
+        state,
+        action,
+        allowed_from: allowedFrom(action),
+      });
+    });
+
+    test('and canTransition agrees', () => {
+      expect(canTransition(state, action)).toBe(false);
+    });
+  });
+
+  describe.each(LEGAL)('%s from %s', (action, state) => {
+    test('is allowed while the hold is active', () => {
+      expect(checkTransition(booking(state), action, NOW)).toBeNull();
+      expect(canTransition(state, action)).toBe(true);
+    });
+
+    test(BOOKING_TRANSITIONS[action].requiresActiveHold
+      ? 'is rejected once the hold has expired'
+      : 'does not depend on the hold', () => {
+      const rejection = checkTransition(booking(state, LAPSED_HOLD), action, NOW);
+      if (BOOKING_TRANSITIONS[action].requiresActiveHold) {
+        expect(rejection).toEqual({
+          error: 'Booking hold has expired',
+          code: TRANSITION_ERRORS.HOLD_EXPIRED,
+          booking_id: booking(state).id,
+          state,
+          action,
+          allowed_from: allowedFrom(action),
+        });
+      } else {
+        expect(rejection).toBeNull();
+      }
+    });
+  });
+
+  test('terminal rejections name the state', () => {
+    expect(checkTransition(booking('CANCELLED'), 'cancel', NOW).error).toBe('Booking is already CANCELLED');
+    expect(checkTransition(booking('CONFIRMED'), 'extend_hold', NOW).error)
+      .toBe('Cannot extend the hold of a booking that is CONFIRMED');
+  });
+
+  test('rejectTransition builds the same payload, plus any detail', () => {
+    const b = booking('PENDING_PAYMENT');
+    expect(rejectTransition(b, 'extend_hold', TRANSITION_ERRORS.HOLD_EXTENSION_LIMIT, 'limit', {
+      expires_at: b.expires_at,
+    })).toEqual({
+      error: 'limit',
+      code: TRANSITION_ERRORS.HOLD_EXTENSION_LIMIT,
+      booking_id: b.id,
+      state: 'PENDING_PAYMENT',
+      action: 'extend_hold',
+      allowed_from: ['PENDING_PAYMENT'],
+      expires_at: b.expires_at,
+    });
+  });
+
+  test('unknown actions throw rather than pass', () => {
+    expect(() => checkTransition(booking('CONFIRMED'), 'refund', NOW)).toThrow('Unknown booking action "refund"');
+    expect(() => canTransition('CONFIRMED', 'refund')).toThrow();
+    expect(() => allowedFrom('refund')).toThrow();
+  });
+});
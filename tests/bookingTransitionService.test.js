@@ -0,0 +1,81 @@
+jest.mock('../src/services/bookingService', () => ({
+  releaseSeats: jest.fn(),
+  cancelBooking: jest.fn(),
+}));
+jest.mock('../src/services/tripService', () => ({ incrementSeats: jest.fn() }));
+jest.mock('../src/services/waitlistService', () => ({ offerReleasedSeats: jest.fn() }));
+jest.mock('../src/services/refundService', () => ({ request: jest.fn() }));
+
+const BookingService = require('../src/services/bookingService');
+const TripService = require('../src/services/tripService');
+const WaitlistService = require('../src/services/waitlistService');
+const RefundService = require('../src/services/refundService');
+const BookingTransitionService = require('../src/services/bookingTransitionService');
+
+const client = {};
+const audit = { actor_type: 'user', actor_id: 'user-1' };
+const DAY = 24 * 60 * 60 * 1000;
+
+// A confirmed 3-seat booking on a trip whose schedule refunds 100% from 30
+// days out and nothing after that
+function booking(daysBeforeTrip) {
+  return {
+    id: 'booking-1',
+    trip_id: 'trip-1',
+    state: 'CONFIRMED',
+    num_seats: 3,
+    currency: 'EUR',
+    price_at_booking: '300.00',
+    list_price: '300.00',
+    trip_start_date: new Date(Date.now() + daysBeforeTrip * DAY + DAY / 2).toISOString(),
+    refund_tiers: [{ min_days_before: 30, refund_percent: 100 }],
+  };
+}
+
+describe('BookingTransitionService.releaseSeats', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BookingService.releaseSeats.mockImplementation(async (c, id, data) => ({
+      booking: { id, num_seats: 3 - data.seats_released },
+      adjustment: { seats_released: data.seats_released },
+    }));
+    RefundService.request.mockImplementation(async (c, data) => ({ id: 'refund-1', ...data }));
+  });
+
+  test('refunds the released share and gives the seats back while refundable', async () => {
+    const result = await BookingTransitionService.releaseSeats(client, booking(40), 1, { audit });
+
+    expect(result.quote).toMatchObject({ amount: 100, refund_percent: 100 });
+    expect(RefundService.request).toHaveBeenCalledWith(client, expect.objectContaining({ amount: 100 }));
+    expect(TripService.incrementSeats).toHaveBeenCalledWith(client, 'trip-1', 1, {
+      booking_id: 'booking-1',
+      reason: 'partial_cancellation',
+    });
+    expect(WaitlistService.offerReleasedSeats).toHaveBeenCalledWith(client, 'trip-1');
+    expect(result.seats_released).toBe(1);
+  });
+
+  test('at 0% refund there is no refund, but the seats still go back to the trip', async () => {
+    const result = await BookingTransitionService.releaseSeats(client, booking(5), 2, { audit });
+
+    expect(result.quote).toMatchObject({ amount: 0, refund_percent: 0, is_refundable: false });
+    expect(RefundService.request).not.toHaveBeenCalled();
+    expect(BookingService.releaseSeats).toHaveBeenCalledWith(client, 'booking-1', expect.objectContaining({
+      seats_released: 2,
+      amount_released: 200,
+      refund_amount: 0,
+    }), audit);
+    expect(TripService.incrementSeats).toHaveBeenCalledWith(client, 'trip-1', 2, {
+      booking_id: 'booking-1',
+      reason: 'partial_cancellation',
+    });
+    expect(result.seats_released).toBe(2);
+  });
+
+  test('returns null and releases nothing if the booking moved on', async () => {
+    BookingService.releaseSeats.mockResolvedValue(null);
+
+    expect(await BookingTransitionService.releaseSeats(client, booking(5), 1, { audit })).toBeNull();
+    expect(TripService.incrementSeats).not.toHaveBeenCalled();
+  });
+});
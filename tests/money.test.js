@@ -0,0 +1,100 @@
+const {
+  SUPPORTED_CURRENCIES,
+  isSupportedCurrency,
+  exponentOf,
+  isValidAmount,
+  toMinor,
+  fromMinor,
+  percentOfMinor,
+  prorateMinor,
+  convertMinor,
+  formatMoney,
+} = require('../src/lib/money');
+
+describe('money', () => {
+  test('EUR and USD have cents, JPY has no minor unit', () => {
+    expect(SUPPORTED_CURRENCIES).toEqual(['EUR', 'USD', 'JPY']);
+    expect(exponentOf('EUR')).toBe(2);
+    expect(exponentOf('USD')).toBe(2);
+    expect(exponentOf('JPY')).toBe(0);
+    expect(isSupportedCurrency('GBP')).toBe(false);
+    expect(() => exponentOf('GBP')).toThrow('Unsupported currency "GBP"');
+    expect(() => toMinor('1.00', 'eur')).toThrow();
+  });
+
+  describe.each([
+    ['EUR', '19.99', 1999, 19.99],
+    ['USD', '0.05', 5, 0.05],
+    ['USD', 1234.5, 123450, 1234.5],
+    ['JPY', '15000', 15000, 15000],
+    ['JPY', '0', 0, 0],
+  ])('%s %s', (currency, amount, minor, decimal) => {
+    test(`is ${minor} minor units and back`, () => {
+      expect(toMinor(amount, currency)).toBe(minor);
+      expect(fromMinor(minor, currency)).toBe(decimal);
+    });
+  });
+
+  test('minor-unit sums have no floating-point drift', () => {
+    expect(0.1 + 0.2).not.toBe(0.3);
+    expect(fromMinor(toMinor(0.1, 'EUR') + toMinor(0.2, 'EUR'), 'EUR')).toBe(0.3);
+    expect(toMinor(19.99, 'EUR')).toBe(1999);
+  });
+
+  test('JPY amounts are whole yen', () => {
+    expect(toMinor(1500.4, 'JPY')).toBe(1500);
+    expect(toMinor('1500.5', 'JPY')).toBe(1501);
+    expect(fromMinor(1501, 'JPY')).toBe(1501);
+    expect(isValidAmount('1500', 'JPY')).toBe(true);
+    expect(isValidAmount('1500.5', 'JPY')).toBe(false);
+  });
+
+  test('isValidAmount allows no more decimals than the currency has, and nothing negative', () => {
+    expect(isValidAmount('10.99', 'EUR')).toBe(true);
+    expect(isValidAmount(10.1, 'USD')).toBe(true);
+    expect(isValidAmount('10.999', 'EUR')).toBe(false);
+    expect(isValidAmount(-1, 'EUR')).toBe(false);
+    expect(isValidAmount('abc', 'EUR')).toBe(false);
+    expect(isValidAmount(Infinity, 'JPY')).toBe(false);
+  });
+
+  test('proration rounds each share to the nearest minor unit', () => {
+    // 100.00 EUR over 3 seats
+    expect(prorateMinor(10000, 1, 3)).toBe(3333);
+    expect(prorateMinor(10000, 2, 3)).toBe(6667);
+    expect(fromMinor(prorateMinor(10000, 1, 3), 'EUR')).toBe(33.33);
+    // 10,000 JPY over 3 seats: whole yen
+    expect(fromMinor(prorateMinor(10000, 1, 3), 'JPY')).toBe(3333);
+    expect(fromMinor(prorateMinor(10000, 2, 3), 'JPY')).toBe(6667);
+    // Halves round up
+    expect(prorateMinor(5, 1, 2)).toBe(3);
+    expect(prorateMinor(10000, 3, 3)).toBe(10000);
+  });
+
+  test('percentages round to the nearest minor unit', () => {
+    expect(percentOfMinor(9999, 33)).toBe(3300);
+    expect(percentOfMinor(15001, 33)).toBe(4950);
+    expect(percentOfMinor(12345, 100)).toBe(12345);
+    expect(percentOfMinor(12345, 0)).toBe(0);
+  });
+
+  test('conversion scales between currencies with different exponents', () => {
+    // 100.00 EUR at 162 JPY per EUR
+    expect(convertMinor(10000, 'EUR', 'JPY', 162)).toBe(16200);
+    // and back at the inverse rate
+    expect(convertMinor(16200, 'JPY', 'EUR', 1 / 162)).toBe(10000);
+    // 150 JPY at 1/150 USD per JPY is 1.00 USD
+    expect(convertMinor(150, 'JPY', 'USD', 1 / 150)).toBe(100);
+    // 19.99 EUR at 1.08 USD per EUR is 21.5892, rounded to 21.59
+    expect(convertMinor(1999, 'EUR', 'USD', '1.08')).toBe(2159);
+    // 1 JPY at 0.0062 EUR per JPY is 0.0062 EUR, rounded to 0.01
+    expect(convertMinor(1, 'JPY', 'EUR', 0.0062)).toBe(1);
+    expect(convertMinor(1234, 'EUR', 'EUR', 2)).toBe(1234);
+  });
+
+  test('formatMoney shows the currency\'s own number of decimals', () => {
+    expect(formatMoney(1234.5, 'EUR')).toBe('1,234.50 EUR');
+    expect(formatMoney('0.05', 'USD')).toBe('0.05 USD');
+    expect(formatMoney(15000, 'JPY')).toBe('15,000 JPY');
+  });
+});
@@ -0,0 +1,139 @@
+const {
+  validateTiers,
+  normalizeTiers,
+  tiersFromLegacy,
+  resolveTiers,
+  daysUntil,
+  calculateRefund,
+} = require('../src/lib/refundPolicy');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const TIERS = [
+  { min_days_before: 7, refund_percent: 50 },
+  { min_days_before: 30, refund_percent: 100 },
+  { min_days_before: 14, refund_percent: 75 },
+];
+
+// Start date `days` days (and `ms` more milliseconds) after NOW
+function startIn(days, ms = 0) {
+  return new Date(NOW.getTime() + days * DAY + ms).toISOString();
+}
+
+function refund(startDate, { amount = '200.00', currency = 'EUR', tiers = TIERS } = {}) {
+  return calculateRefund({ amount, currency, startDate, tiers, now: NOW });
+}
+
+describe('refund policy', () => {
+  test('days before departure count whole days only', () => {
+    expect(daysUntil(startIn(14), NOW)).toBe(14);
+    expect(daysUntil(startIn(14, -1), NOW)).toBe(13);
+    expect(daysUntil(startIn(0, 1), NOW)).toBe(0);
+    expect(daysUntil(startIn(0, -1), NOW)).toBe(-1);
+  });
+
+  describe.each([
+    [45, 100, 30],
+    [30, 100, 30],
+    [29, 75, 14],
+    [14, 75, 14],
+    [13, 50, 7],
+    [7, 50, 7],
+  ])('%i days out', (days, percent, cutoff) => {
+    test(`refunds ${percent}% under the ${cutoff}-day tier`, () => {
+      expect(refund(startIn(days))).toEqual({
+        amount: 200 * percent / 100,
+        currency: 'EUR',
+        refund_percent: percent,
+        is_refundable: true,
+        days_until_trip: days,
+        applied_tier: { min_days_before: cutoff, refund_percent: percent },
+      });
+    });
+  });
+
+  test('exactly on a cutoff the tier applies; a moment later it does not', () => {
+    expect(refund(startIn(14)).refund_percent).toBe(75);
+    expect(refund(startIn(14, -1)).refund_percent).toBe(50);
+  });
+
+  test('past the last tier nothing is refunded', () => {
+    for (const start of [startIn(7, -1), startIn(0), startIn(-3)]) {
+      expect(refund(start)).toMatchObject({
+        amount: 0,
+        refund_percent: 0,
+        is_refundable: false,
+        applied_tier: null,
+      });
+    }
+  });
+
+  test('an empty schedule refunds nothing, and is not a valid schedule', () => {
+    expect(refund(startIn(365), { tiers: [] })).toMatchObject({
+      amount: 0,
+      refund_percent: 0,
+      is_refundable: false,
+      applied_tier: null,
+    });
+    expect(validateTiers([])).toBe('refund tiers must be a non-empty array');
+  });
+
+  test('a 0% tier is not refundable', () => {
+    const tiers = [{ min_days_before: 0, refund_percent: 0 }];
+    expect(refund(startIn(3), { tiers })).toMatchObject({
+      amount: 0, is_refundable: false, applied_tier: tiers[0],
+    });
+  });
+
+  test('refunds are rounded to the currency\'s minor unit', () => {
+    const tiers = [{ min_days_before: 0, refund_percent: 33 }];
+    expect(refund(startIn(10), { amount: '99.99', tiers }).amount).toBe(33);
+    expect(refund(startIn(10), { amount: '15001', currency: 'JPY', tiers }).amount).toBe(4950);
+  });
+
+  test('validateTiers rejects malformed schedules', () => {
+    expect(validateTiers(TIERS)).toBeNull();
+    expect(validateTiers(null)).toBe('refund tiers must be a non-empty array');
+    expect(validateTiers([null])).toBe('each refund tier must be an object');
+    expect(validateTiers([{ min_days_before: -1, refund_percent: 50 }]))
+      .toBe('min_days_before must be a non-negative integer');
+    expect(validateTiers([{ min_days_before: 1.5, refund_percent: 50 }]))
+      .toBe('min_days_before must be a non-negative integer');
+    expect(validateTiers([{ min_days_before: 7, refund_percent: 101 }]))
+      .toBe('refund_percent must be a number between 0 and 100');
+    expect(validateTiers([
+      { min_days_before: 7, refund_percent: 50 },
+      { min_days_before: 7, refund_percent: 25 },
+    ])).toBe('duplicate tier for min_days_before 7');
+  });
+
+  test('normalizeTiers sorts by cutoff, latest first, and drops other fields', () => {
+    expect(normalizeTiers([...TIERS, { min_days_before: 0, refund_percent: 10, label: 'x' }])).toEqual([
+      { min_days_before: 30, refund_percent: 100 },
+      { min_days_before: 14, refund_percent: 75 },
+      { min_days_before: 7, refund_percent: 50 },
+      { min_days_before: 0, refund_percent: 10 },
+    ]);
+  });
+
+  test('the legacy cutoff refunds everything but the fee until the day after it', () => {
+    const tiers = tiersFromLegacy(7, 10);
+    expect(tiers).toEqual([{ min_days_before: 8, refund_percent: 90 }]);
+    expect(refund(startIn(8), { tiers }).refund_percent).toBe(90);
+    expect(refund(startIn(7), { tiers }).refund_percent).toBe(0);
+    expect(tiersFromLegacy(null, null)).toEqual([{ min_days_before: 1, refund_percent: 100 }]);
+  });
+
+  test('a trip\'s own tiers win over its named policy, which wins over the legacy columns', () => {
+    const legacy = { refundable_until_days_before: 7, cancellation_fee_percent: 10 };
+    const policy = { ...legacy, policy_name: 'Flexible', policy_tiers: [{ min_days_before: 1, refund_percent: 100 }] };
+    const own = { ...policy, refund_tiers: TIERS };
+
+    expect(resolveTiers(own)).toEqual({ source: 'trip', tiers: normalizeTiers(TIERS) });
+    expect(resolveTiers(policy)).toEqual({
+      source: 'policy', policy_name: 'Flexible', tiers: [{ min_days_before: 1, refund_percent: 100 }],
+    });
+    expect(resolveTiers(legacy)).toEqual({ source: 'legacy', tiers: [{ min_days_before: 8, refund_percent: 90 }] });
+  });
+});
@@ -0,0 +1,81 @@
+const { summarizeRevenue, buildRevenueReport } = require('../src/lib/revenue');
+
+// Revenue groups as BookingService.getTripRevenueByRate / ReportService.tripRevenue
+// return them: per booking currency and locked rate, gross from amount_paid and
+// refunds from the refunds table.
+const paris = {
+  trip: {
+    id: 'paris', title: 'Paris', destination: 'Paris', start_date: '2026-05-10T00:00:00Z',
+    currency: 'EUR', max_capacity: 20,
+  },
+  booked_seats: 9,
+  revenue: [
+    // Two bookings paid 200.00 each; one was cancelled later (90.00 back), the
+    // other gave back a seat (25.00 back). An unpaid hold that was cancelled
+    // has no amount_paid and no refund record, so it adds nothing.
+    { currency: 'EUR', exchange_rate: '1', gross_revenue: '400.00', refunds_issued: '115.00', discounts_given: '20.00' },
+    // Paid in USD at 1.08 USD per EUR
+    { currency: 'USD', exchange_rate: '1.08', gross_revenue: '216.00', refunds_issued: '54.00', discounts_given: '0' },
+  ],
+};
+
+const tokyo = {
+  trip: {
+    id: 'tokyo', title: 'Tokyo', destination: 'Tokyo', start_date: '2026-05-20T00:00:00Z',
+    currency: 'JPY', max_capacity: 10,
+  },
+  booked_seats: 3,
+  revenue: [
+    { currency: 'JPY', exchange_rate: '1', gross_revenue: '150000', refunds_issued: '30000', discounts_given: '0' },
+  ],
+};
+
+const amount = Number;
+
+describe('revenue reconciliation', () => {
+  test('a trip\'s net revenue is gross less refunds, in total and per currency', () => {
+    const summary = summarizeRevenue(paris.trip, paris.revenue);
+
+    expect(summary).toEqual({
+      currency: 'EUR',
+      gross_revenue: 600,
+      refunds_issued: 165,
+      net_revenue: 435,
+      discounts_given: 20,
+      by_currency: {
+        EUR: { gross_revenue: 400, refunds_issued: 115, net_revenue: 285, discounts_given: 20 },
+        USD: { gross_revenue: 216, refunds_issued: 54, net_revenue: 162, discounts_given: 0 },
+      },
+    });
+    for (const totals of [summary, ...Object.values(summary.by_currency)]) {
+      expect(amount(totals.net_revenue)).toBeCloseTo(amount(totals.gross_revenue) - amount(totals.refunds_issued), 2);
+    }
+  });
+
+  test('the report adds up to the trip metrics, converted at the report rates', () => {
+    const rates = { EUR: 1, JPY: 0.0062 };
+    const report = buildRevenueReport({ trips: [paris, tokyo], groupBy: 'trip', currency: 'EUR', rates });
+
+    const tokyoSummary = summarizeRevenue(tokyo.trip, tokyo.revenue);
+    expect(tokyoSummary.net_revenue).toBe(120000);
+
+    const [parisGroup, tokyoGroup] = report.groups;
+    expect(parisGroup).toMatchObject({ key: 'paris', gross_revenue: 600, refunds_issued: 165, net_revenue: 435 });
+    expect(tokyoGroup).toMatchObject({ key: 'tokyo', gross_revenue: 930, refunds_issued: 186, net_revenue: 744 });
+
+    for (const field of ['gross_revenue', 'refunds_issued', 'net_revenue', 'discounts_given']) {
+      const sum = report.groups.reduce((total, group) => total + amount(group[field]), 0);
+      expect(amount(report.totals[field])).toBeCloseTo(sum, 2);
+    }
+    expect(amount(report.totals.net_revenue))
+      .toBeCloseTo(amount(report.totals.gross_revenue) - amount(report.totals.refunds_issued), 2);
+    expect(report.totals).toMatchObject({ trips: 2, total_seats: 30, booked_seats: 12, occupancy_percent: 40 });
+  });
+
+  test('a trip with only unpaid bookings has no revenue and no refunds', () => {
+    const summary = summarizeRevenue(paris.trip, [
+      { currency: 'EUR', exchange_rate: '1', gross_revenue: '0', refunds_issued: '0', discounts_given: '0' },
+    ]);
+    expect(summary).toMatchObject({ gross_revenue: 0, refunds_issued: 0, net_revenue: 0 });
+  });
+});